@@ -0,0 +1,261 @@
+// lib/audio.ts
+// Web Audio manager behind G.Audio: keyed sounds and sound sprites, one
+// persisted mute switch, crossfading ambient loops, and an analyser whose
+// level/bands/FFT are refreshed on the shared frame loop before onRaf
+// subscribers run (only while something plays), so shaders can read
+// `audio.analysis` in their callbacks.
+import { frameLoop, FRAME_PRIORITY } from "@/lib/frameLoop";
+
+export type AudioAnalysis = {
+  level: number;                                     // 0..1 overall loudness
+  bands: { bass: number; mid: number; treble: number }; // 0..1
+  fft: Uint8Array;                                   // raw frequency bins (0..255)
+};
+
+export type PlayOptions = {
+  key: string;        // "sound" or "sheet.sprite"
+  volume?: number;
+  rate?: number;
+  loop?: boolean;
+};
+
+type Sprite = { start: number; duration: number; loop?: boolean };
+type Sound = { key: string; buffer?: AudioBuffer; failed?: boolean; bytes?: ArrayBuffer; sprites?: Record<string, Sprite> };
+
+const STORAGE_KEY = "audioMuted";
+const FFT_SIZE = 256;
+// Upper bounds (Hz) of the bass and mid bands; treble is everything above.
+const BASS_HZ = 250;
+const MID_HZ = 2000;
+
+export class AudioManager {
+  readonly analysis: AudioAnalysis = { level: 0, bands: { bass: 0, mid: 0, treble: 0 }, fft: new Uint8Array(FFT_SIZE / 2) };
+  muted = false;
+  private ctx: AudioContext | null = null;
+  private master: GainNode | null = null;
+  private sfx: GainNode | null = null;
+  private ambientBus: GainNode | null = null;
+  private analyser: AnalyserNode | null = null;
+  private sounds = new Map<string, Sound>();
+  private ambient: { key: string; source: AudioBufferSourceNode; gain: GainNode } | null = null;
+  private playing = 0;
+  private unsubFrame: (() => void) | null = null;
+  private muteListeners = new Set<(muted: boolean) => void>();
+  private errorListeners = new Set<(key: string, error: unknown) => void>();
+  private decoding = new WeakMap<Sound, Promise<void>>();
+  private attached = false;
+
+  constructor() {
+    try { this.muted = typeof localStorage !== "undefined" && localStorage.getItem(STORAGE_KEY) === "1"; } catch {}
+  }
+
+  /** Unlock on the first gesture and follow page visibility; returns detach. */
+  attach = () => {
+    if (typeof window === "undefined" || this.attached) return () => {};
+    this.attached = true;
+    const unlock = () => { this.context()?.resume(); };
+    const onVisibility = () => {
+      if (!this.ctx) return;
+      if (document.hidden) this.ctx.suspend();
+      else if (!this.muted) this.ctx.resume();
+    };
+    window.addEventListener("pointerdown", unlock, { once: true });
+    window.addEventListener("keydown", unlock, { once: true });
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      this.attached = false;
+      window.removeEventListener("pointerdown", unlock);
+      window.removeEventListener("keydown", unlock);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  };
+
+  /**
+   * Register encoded audio (e.g. an AssetLoader "audio" entry) under `key`.
+   * Decoding waits for the AudioContext; `sprites` maps names to
+   * [start, duration] in seconds, played as "key.name".
+   */
+  add(key: string, bytes: ArrayBuffer, sprites?: Record<string, [number, number] | Sprite>) {
+    const sound: Sound = { key, bytes };
+    if (sprites) {
+      sound.sprites = {};
+      for (const [name, s] of Object.entries(sprites)) {
+        sound.sprites[name] = Array.isArray(s) ? { start: s[0], duration: s[1] } : s;
+      }
+    }
+    this.sounds.set(key, sound);
+    if (this.ctx) this.decode(sound);
+    return this;
+  }
+
+  has(key: string) { return !!this.resolve(key); }
+
+  play = ({ key, volume = 1, rate = 1, loop }: PlayOptions) => {
+    const found = this.resolve(key);
+    const ctx = this.context();
+    if (!found || !ctx || this.muted) return null;
+    const { sound, sprite } = found;
+    if (!sound.buffer) { if (!sound.failed) this.decode(sound); return null; } // too late for this one; ready next time
+    const source = ctx.createBufferSource();
+    source.buffer = sound.buffer;
+    source.playbackRate.value = rate;
+    const gain = ctx.createGain();
+    gain.gain.value = volume;
+    source.connect(gain).connect(this.sfx!);
+    if (sprite) {
+      source.loop = loop ?? !!sprite.loop;
+      if (source.loop) {
+        source.loopStart = sprite.start;
+        source.loopEnd = sprite.start + sprite.duration;
+        source.start(0, sprite.start);
+      } else {
+        source.start(0, sprite.start, sprite.duration);
+      }
+    } else {
+      source.loop = !!loop;
+      source.start();
+    }
+    this.track(source);
+    return source;
+  };
+
+  /** Crossfade to a looping ambient track (null fades the current one out). */
+  playAmbient = (key: string | null, { volume = 0.6, fade = 2 }: { volume?: number; fade?: number } = {}) => {
+    const ctx = this.context();
+    if (!ctx) return;
+    if (this.ambient?.key === key) return;
+    const now = ctx.currentTime;
+    const prev = this.ambient;
+    if (prev) {
+      prev.gain.gain.cancelScheduledValues(now);
+      prev.gain.gain.setValueAtTime(prev.gain.gain.value, now);
+      prev.gain.gain.linearRampToValueAtTime(0, now + fade);
+      prev.source.stop(now + fade);
+    }
+    this.ambient = null;
+    const sound = key ? this.sounds.get(key) : null;
+    if (!key || !sound) return;
+    if (!sound.buffer) {
+      // Only retry once there is a buffer: a failed decode resolves too.
+      this.decode(sound).then(() => { if (sound.buffer && !this.ambient) this.playAmbient(key, { volume, fade }); });
+      return;
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = sound.buffer;
+    source.loop = true;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(volume, now + fade);
+    source.connect(gain).connect(this.ambientBus!);
+    source.start();
+    this.ambient = { key, source, gain };
+    this.track(source);
+  };
+
+  /** Mute or unmute everything; remembered across visits. */
+  muteAll = (muted: boolean) => {
+    this.muted = muted;
+    try { localStorage.setItem(STORAGE_KEY, muted ? "1" : "0"); } catch {}
+    const ctx = this.context();
+    if (ctx && this.master) {
+      this.master.gain.setTargetAtTime(muted ? 0 : 1, ctx.currentTime, 0.05);
+      if (!muted) ctx.resume();
+    }
+    for (const cb of this.muteListeners) cb(muted);
+  };
+
+  toggleMute = () => this.muteAll(!this.muted);
+
+  onMute = (cb: (muted: boolean) => void) => {
+    this.muteListeners.add(cb);
+    return () => { this.muteListeners.delete(cb); };
+  };
+
+  /** Called with the sound's key when its bytes fail to decode; the sound stays silent. */
+  onError = (cb: (key: string, error: unknown) => void) => {
+    this.errorListeners.add(cb);
+    return () => { this.errorListeners.delete(cb); };
+  };
+
+  // Created lazily: browsers only allow audio after a user gesture anyway.
+  private context() {
+    if (this.ctx || typeof window === "undefined") return this.ctx;
+    const Ctor = window.AudioContext || (window as any).webkitAudioContext;
+    if (!Ctor) return null;
+    const ctx = (this.ctx = new Ctor() as AudioContext);
+    this.master = ctx.createGain();
+    this.master.gain.value = this.muted ? 0 : 1;
+    this.sfx = ctx.createGain();
+    this.ambientBus = ctx.createGain();
+    this.analyser = ctx.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+    this.analyser.smoothingTimeConstant = 0.8;
+    this.sfx.connect(this.master);
+    this.ambientBus.connect(this.master);
+    this.master.connect(this.analyser).connect(ctx.destination);
+    for (const sound of this.sounds.values()) this.decode(sound);
+    return ctx;
+  }
+
+  private decode(sound: Sound) {
+    const pending = this.decoding.get(sound);
+    if (pending) return pending;
+    const ctx = this.ctx;
+    if (!ctx || !sound.bytes || sound.failed) return Promise.resolve();
+    // decodeAudioData detaches its input; keep the original for re-decoding.
+    const p = ctx.decodeAudioData(sound.bytes.slice(0))
+      .then((buffer) => { sound.buffer = buffer; })
+      .catch((err) => {
+        sound.failed = true; // not retried: the same bytes fail the same way
+        for (const cb of this.errorListeners) cb(sound.key, err);
+      });
+    this.decoding.set(sound, p);
+    return p;
+  }
+
+  private resolve(key: string): { sound: Sound; sprite?: Sprite } | null {
+    const direct = this.sounds.get(key);
+    if (direct) return { sound: direct };
+    const dot = key.lastIndexOf(".");
+    const sheet = dot > 0 ? this.sounds.get(key.slice(0, dot)) : undefined;
+    const sprite = sheet?.sprites?.[key.slice(dot + 1)];
+    return sheet && sprite ? { sound: sheet, sprite } : null;
+  }
+
+  // The analyser only costs frames while something is playing.
+  private track(source: AudioBufferSourceNode) {
+    this.playing++;
+    source.addEventListener("ended", () => { this.playing--; }, { once: true });
+    if (!this.unsubFrame) this.unsubFrame = frameLoop.add(this.analyse, FRAME_PRIORITY.INPUT, { label: "audio" });
+  }
+
+  private analyse = () => {
+    const a = this.analysis;
+    const analyser = this.analyser;
+    if (!analyser || this.playing <= 0) {
+      a.level = a.bands.bass = a.bands.mid = a.bands.treble = 0;
+      a.fft.fill(0);
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+      return;
+    }
+    analyser.getByteFrequencyData(a.fft);
+    const hzPerBin = this.ctx!.sampleRate / analyser.fftSize;
+    const sums = { bass: 0, mid: 0, treble: 0 };
+    const counts = { bass: 0, mid: 0, treble: 0 };
+    let total = 0;
+    for (let i = 0; i < a.fft.length; i++) {
+      const hz = i * hzPerBin;
+      const band = hz < BASS_HZ ? "bass" : hz < MID_HZ ? "mid" : "treble";
+      sums[band] += a.fft[i];
+      counts[band]++;
+      total += a.fft[i];
+    }
+    a.level = total / (a.fft.length * 255);
+    a.bands.bass = counts.bass ? sums.bass / (counts.bass * 255) : 0;
+    a.bands.mid = counts.mid ? sums.mid / (counts.mid * 255) : 0;
+    a.bands.treble = counts.treble ? sums.treble / (counts.treble * 255) : 0;
+  };
+}
+
+export const audio = new AudioManager();
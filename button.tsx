@@ -1,79 +1,259 @@
 // components/MagneticButton.tsx
 "use client";
-import { motion, useMotionValue, useTransform, AnimatePresence } from "framer-motion";
-import { usePointer } from "@/app/providers/RuntimeProvider";
-import { useRef, useState } from "react";
+import { motion, useMotionValue, useSpring, AnimatePresence } from "framer-motion";
+import { useElementPointer, usePointer, useViewport } from "@/app/providers/RuntimeProvider";
+import React, { createContext, useCallback, useContext, useEffect, useId, useMemo, useRef, useState } from "react";
+
+type GroupCtx = {
+  mode: "single" | "multiple";
+  isSelected: (value: string) => boolean;
+  toggle: (value: string) => void;
+  tabStop: string | null; // the one item reachable with Tab (roving tabindex)
+  setTabStop: (value: string) => void;
+};
+
+const GroupContext = createContext<GroupCtx | null>(null);
+
+const ITEM_SELECTOR = "[data-magnetic-item]:not(:disabled)";
+
+// Pull (0..1) at a normalized distance t from the button edge (0) to the radius (1).
+export type MagnetFalloff = "linear" | "quadratic" | "smooth" | ((t: number) => number);
+const FALLOFF: Record<Exclude<MagnetFalloff, Function>, (t: number) => number> = {
+  linear: (t) => 1 - t,
+  quadratic: (t) => (1 - t) * (1 - t),
+  smooth: (t) => 1 - t * t * (3 - 2 * t),
+};
+
+/**
+ * Radio-style ("single") or checkbox-style ("multiple") group of
+ * MagneticButtons with a `value`. Controlled with `value`/`onChange` or
+ * uncontrolled with `defaultValue`. One Tab stop; arrow keys, Home and End
+ * move focus between the buttons.
+ */
+export function MagneticButtonGroup({
+  children,
+  mode = "single",
+  value,
+  defaultValue,
+  onChange,
+  label,
+  className,
+}: {
+  children: React.ReactNode;
+  mode?: "single" | "multiple";
+  value?: string[];
+  defaultValue?: string[];
+  onChange?: (value: string[]) => void;
+  label?: string;
+  className?: string;
+}) {
+  const [inner, setInner] = useState<string[]>(defaultValue ?? []);
+  const selected = value ?? inner;
+  const [focused, setFocused] = useState<string | null>(null);
+  const ref = useRef<HTMLDivElement>(null);
+
+  const toggle = useCallback((v: string) => {
+    const next = mode === "single"
+      ? [v] // radios don't deselect on a second click
+      : selected.includes(v) ? selected.filter((x) => x !== v) : [...selected, v];
+    if (value === undefined) setInner(next);
+    onChange?.(next);
+  }, [mode, selected, value, onChange]);
+
+  // Tab lands on the focused item, else the first selected one, else the first.
+  const [first, setFirst] = useState<string | null>(null);
+  useEffect(() => { setFirst(ref.current?.querySelector<HTMLElement>(ITEM_SELECTOR)?.dataset.value ?? null); });
+  const ctx = useMemo<GroupCtx>(() => ({
+    mode,
+    isSelected: (v) => selected.includes(v),
+    toggle,
+    tabStop: focused ?? selected[0] ?? first,
+    setTabStop: setFocused,
+  }), [mode, selected, toggle, focused, first]);
+
+  function onKeyDown(e: React.KeyboardEvent) {
+    const items = Array.from(ref.current?.querySelectorAll<HTMLElement>(ITEM_SELECTOR) ?? []);
+    const i = items.indexOf(document.activeElement as HTMLElement);
+    if (i < 0) return;
+    let next: number;
+    switch (e.key) {
+      case "ArrowRight": case "ArrowDown": next = (i + 1) % items.length; break;
+      case "ArrowLeft": case "ArrowUp": next = (i - 1 + items.length) % items.length; break;
+      case "Home": next = 0; break;
+      case "End": next = items.length - 1; break;
+      default: return;
+    }
+    e.preventDefault();
+    items[next].focus();
+    // Radio groups select as focus moves, like native radios. Selecting
+    // through the button's click fires its onSelect as a pointer click does.
+    if (mode === "single") items[next].click();
+  }
+
+  return (
+    <GroupContext.Provider value={ctx}>
+      <div
+        ref={ref}
+        role={mode === "single" ? "radiogroup" : "group"}
+        aria-label={label}
+        onKeyDown={onKeyDown}
+        className={className ?? "inline-flex flex-wrap gap-2"}
+      >
+        {children}
+      </div>
+    </GroupContext.Provider>
+  );
+}
 
 export default function MagneticButton({
   children,
   selectable = false,
+  selected: selectedProp,
+  defaultSelected = false,
   onSelect,
-}: { children: React.ReactNode; selectable?: boolean; onSelect?: () => void }) {
+  value,
+  disabled,
+  strength = 0.3,
+  contentStrength = 0.15,
+  radius = 60,
+  falloff = "smooth",
+  stiffness = 180,
+  damping = 16,
+  momentum = 0.03,
+}: {
+  children: React.ReactNode;
+  selectable?: boolean;          // standalone toggle (implied inside a group)
+  selected?: boolean;            // controlled selection
+  defaultSelected?: boolean;
+  onSelect?: (selected: boolean) => void;
+  value?: string;                // identifies the button inside a MagneticButtonGroup
+  disabled?: boolean;
+  strength?: number;             // button pull, fraction of the pointer's offset from center
+  contentStrength?: number;      // extra pull on the label/content
+  radius?: number;               // px outside the button where the pull starts
+  falloff?: MagnetFalloff;
+  stiffness?: number;            // spring for entry/exit
+  damping?: number;
+  momentum?: number;             // seconds of pointer velocity added to the pull
+}) {
   const ref = useRef<HTMLButtonElement>(null);
-  const pointer = usePointer();
+  const group = useContext(GroupContext);
+  const inGroup = !!group && value !== undefined;
   const [hover, setHover] = useState(false);
-  const [selected, setSelected] = useState(false);
-
-  // local motion values
-  const mx = useMotionValue(0);
-  const my = useMotionValue(0);
-  const scale = useTransform(hover ? 1.03 : 1, v => v); // subtle pop
-
-  // update magnetic offset on hover
-  function handleMouseMove() {
-    const r = ref.current?.getBoundingClientRect(); if (!r) return;
-    const x = pointer.px.x - (r.left + r.width / 2);
-    const y = pointer.px.y - (r.top + r.height / 2);
-    mx.set(x * 0.2); // magnet strength
-    my.set(y * 0.2);
-  }
+  const [focusVisible, setFocusVisible] = useState(false);
+  const [innerSelected, setInnerSelected] = useState(defaultSelected);
+  const isSelectable = selectable || inGroup;
+  const selected = inGroup ? group!.isSelected(value!) : selectedProp ?? innerSelected;
+  const active = hover || focusVisible; // keyboard focus gets the same treatment as hover
+
+  // useId gives each button its own clip/mask (":" isn't safe inside url(#...))
+  const uid = useId().replace(/:/g, "");
+  const clipId = `btn-clip-${uid}`;
+  const fillId = `btn-fill-${uid}`;
+
+  // Magnet: pointer targets feed springs, so entry and exit ease in and out.
+  const reducedMotion = useViewport((s) => s.reducedMotion);
+  const pointer = usePointer();
+  const spring = { stiffness, damping };
+  const tx = useMotionValue(0);
+  const ty = useMotionValue(0);
+  const cx = useMotionValue(0);
+  const cy = useMotionValue(0);
+  const mx = useSpring(tx, spring);
+  const my = useSpring(ty, spring);
+  const contentX = useSpring(cx, spring);
+  const contentY = useSpring(cy, spring);
+  const scale = useSpring(1, spring); // subtle pop
+  useEffect(() => { scale.set(active && !reducedMotion ? 1.03 : 1); }, [active, reducedMotion, scale]);
+
+  useElementPointer(ref, (p) => {
+    if (reducedMotion || disabled) {
+      tx.set(0); ty.set(0); cx.set(0); cy.set(0);
+      return;
+    }
+    // Measure from the button's rest position, not where the magnet moved it.
+    const ox = p.center.x + mx.get();
+    const oy = p.center.y + my.get();
+    const edge = Math.hypot(Math.max(Math.abs(ox) - p.size.x / 2, 0), Math.max(Math.abs(oy) - p.size.y / 2, 0));
+    const t = radius > 0 ? edge / radius : edge > 0 ? 1 : 0;
+    const pull = t >= 1 ? 0 : (typeof falloff === "function" ? falloff : FALLOFF[falloff])(t);
+    const lx = (ox + pointer.v.x * momentum) * pull;
+    const ly = (oy + pointer.v.y * momentum) * pull;
+    tx.set(lx * strength);
+    ty.set(ly * strength);
+    cx.set(lx * contentStrength);
+    cy.set(ly * contentStrength);
+  });
 
   function toggle() {
-    if (!selectable) return;
-    const s = !selected; setSelected(s);
-    onSelect?.();
+    if (!isSelectable || disabled) return;
+    if (inGroup) {
+      group!.toggle(value!);
+      onSelect?.(group!.mode === "single" ? true : !selected);
+      return;
+    }
+    const s = !selected;
+    if (selectedProp === undefined) setInnerSelected(s);
+    onSelect?.(s);
   }
 
+  // ARIA: radios in single groups, toggle buttons otherwise.
+  const aria = !isSelectable ? {}
+    : inGroup && group!.mode === "single" ? { role: "radio", "aria-checked": selected }
+    : { "aria-pressed": selected };
+  const tabIndex = inGroup ? (group!.tabStop === value ? 0 : -1) : undefined;
+
   return (
     <motion.button
       ref={ref}
-      onMouseEnter={() => setHover(true)}
-      onMouseLeave={() => { setHover(false); mx.set(0); my.set(0); }}
-      onMouseMove={handleMouseMove}
+      type="button"
+      disabled={disabled}
+      tabIndex={tabIndex}
+      data-magnetic-item={inGroup ? "" : undefined}
+      data-value={value}
+      data-selected={selected || undefined}
+      {...aria}
+      onPointerEnter={() => setHover(true)}
+      onPointerLeave={() => setHover(false)}
+      onFocus={(e) => {
+        setFocusVisible(e.currentTarget.matches(":focus-visible"));
+        if (inGroup) group!.setTabStop(value!);
+      }}
+      onBlur={() => setFocusVisible(false)}
       onClick={toggle}
       style={{ translateX: mx, translateY: my, scale }}
-      className="relative inline-flex items-center justify-center px-6 py-3 rounded-2xl overflow-hidden"
+      className="relative inline-flex items-center justify-center px-6 py-3 rounded-2xl overflow-hidden outline-none disabled:opacity-50"
     >
       {/* SVG border + fill mask */}
       <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 40" preserveAspectRatio="none" aria-hidden>
         <defs>
-          <clipPath id="btn-clip"><rect x="0" y="0" width="100" height="40" rx="14" /></clipPath>
-          <mask id="btn-fill">
+          <clipPath id={clipId}><rect x="0" y="0" width="100" height="40" rx="14" /></clipPath>
+          <mask id={fillId}>
             <rect x="0" y="0" width="100" height="40" fill="white" />
             {/* The sliding white rect "erases" to reveal black fill below */}
             <motion.rect
               x={0} y={0} width={100} height={40}
-              initial={{ y: 40 }} animate={{ y: hover ? 0 : 40 }} transition={{ type: "spring", stiffness: 220, damping: 24 }}
+              initial={{ y: 40 }} animate={{ y: active || selected ? 0 : 40 }} transition={{ type: "spring", stiffness: 220, damping: 24 }}
               fill="black"
             />
           </mask>
         </defs>
-        <rect x="1" y="1" width="98" height="38" rx="13" fill="none" stroke="currentColor" strokeWidth="2" />
+        <rect x="1" y="1" width="98" height="38" rx="13" fill="none" stroke="currentColor" strokeWidth={focusVisible ? 3 : 2} />
         {/* base fill revealed by mask */}
-        <rect x="0" y="0" width="100" height="40" clipPath="url(#btn-clip)" fill="currentColor" mask="url(#btn-fill)" />
+        <rect x="0" y="0" width="100" height="40" clipPath={`url(#${clipId})`} fill="currentColor" mask={`url(#${fillId})`} />
       </svg>
 
       {/* content layers: original + clone for slide/replace */}
-      <div className="relative z-10 font-medium">
+      <motion.div className="relative z-10 font-medium" style={{ x: contentX, y: contentY }}>
         <div className="overflow-hidden">
-          <motion.div initial={false} animate={{ y: hover ? "-120%" : "0%" }} transition={{ type: "spring", stiffness: 300, damping: 26 }}>
+          <motion.div initial={false} animate={{ y: active ? "-120%" : "0%" }} transition={{ type: "spring", stiffness: 300, damping: 26 }}>
             {children}
           </motion.div>
-          <motion.div className="absolute inset-0" initial={{ y: "120%" }} animate={{ y: hover ? "0%" : "120%" }} transition={{ type: "spring", stiffness: 300, damping: 26 }}>
-            {selectable ? (selected ? "Selected" : "Select") : children}
+          <motion.div className="absolute inset-0" aria-hidden initial={{ y: "120%" }} animate={{ y: active ? "0%" : "120%" }} transition={{ type: "spring", stiffness: 300, damping: 26 }}>
+            {isSelectable ? (selected ? "Selected" : "Select") : children}
           </motion.div>
         </div>
-      </div>
+      </motion.div>
     </motion.button>
   );
 }
@@ -0,0 +1,176 @@
+// components/DebugPanel.tsx
+"use client";
+import React, { useEffect, useReducer, useRef, useState, useSyncExternalStore } from "react";
+import { frameLoop, FRAME_PRIORITY } from "@/lib/frameLoop";
+import { pointerTracker, type Vec2 } from "@/lib/pointer";
+import { debugStore, type DebugControl } from "@/lib/debug";
+
+const GRAPH_W = 180;
+const GRAPH_H = 40;
+const GRAPH_MAX_MS = 50;  // top of the frame-time graph
+const REFRESH_MS = 250;   // tables and monitors
+
+const fmt = (v: number, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : String(v));
+const vec = ({ x, y }: Vec2, digits = 2) => `${fmt(x, digits)}, ${fmt(y, digits)}`;
+
+// Frame times as bars (green under 60 fps, amber under 30, red above), drawn
+// every frame from the shared loop.
+function FrameGraph() {
+  const ref = useRef<HTMLCanvasElement>(null);
+  const [fps, setFps] = useState(0);
+  useEffect(() => {
+    const ctx = ref.current?.getContext("2d");
+    if (!ctx) return;
+    const times = new Float32Array(GRAPH_W);
+    let head = 0, last = -1, lastReport = 0;
+    const off = frameLoop.add((t) => {
+      const ms = last < 0 ? 0 : t - last;
+      last = t;
+      times[head] = ms;
+      head = (head + 1) % GRAPH_W;
+      ctx.clearRect(0, 0, GRAPH_W, GRAPH_H);
+      for (let i = 0; i < GRAPH_W; i++) {
+        const v = times[(head + i) % GRAPH_W];
+        ctx.fillStyle = v <= 17.5 ? "#4ade80" : v <= 34 ? "#fbbf24" : "#f87171";
+        const h = Math.min(1, v / GRAPH_MAX_MS) * GRAPH_H;
+        ctx.fillRect(i, GRAPH_H - h, 1, h);
+      }
+      if (t - lastReport > REFRESH_MS) {
+        lastReport = t;
+        const avg = times.reduce((a, b) => a + b, 0) / GRAPH_W;
+        setFps(avg > 0 ? 1000 / avg : 0);
+      }
+    }, FRAME_PRIORITY.POST, { label: "debug" });
+    return off;
+  }, []);
+  return (
+    <div>
+      <div className="flex justify-between"><span>fps</span><span>{fmt(fps, 0)}</span></div>
+      <canvas ref={ref} width={GRAPH_W} height={GRAPH_H} className="block bg-black/40" />
+    </div>
+  );
+}
+
+function Control({ folder, name, control, value }: { folder: string; name: string; control: DebugControl; value: unknown }) {
+  const set = (v: unknown) => debugStore.set(folder, name, v);
+  if (typeof control.value === "boolean") {
+    return (
+      <label className="flex justify-between gap-2">
+        <span>{name}</span>
+        <input type="checkbox" checked={!!value} onChange={(e) => set(e.target.checked)} />
+      </label>
+    );
+  }
+  if ("color" in control) {
+    return (
+      <label className="flex justify-between gap-2">
+        <span>{name}</span>
+        <input type="color" value={String(value)} onChange={(e) => set(e.target.value)} />
+      </label>
+    );
+  }
+  const { min = 0, max = 1, step = 0.01 } = control as Extract<DebugControl, { value: number }>;
+  return (
+    <label className="grid grid-cols-[6rem_1fr_3rem] items-center gap-2">
+      <span className="truncate">{name}</span>
+      <input type="range" min={min} max={max} step={step} value={Number(value)} onChange={(e) => set(Number(e.target.value))} />
+      <span className="text-right">{fmt(Number(value), 3)}</span>
+    </label>
+  );
+}
+
+function Presets() {
+  const [name, setName] = useState("");
+  const presets = Object.keys(debugStore.presets());
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-1">
+        <input className="min-w-0 flex-1 bg-black/40 px-1" placeholder="preset name" value={name} onChange={(e) => setName(e.target.value)} />
+        <button type="button" disabled={!name} onClick={() => debugStore.savePreset(name)}>save</button>
+        <button type="button" onClick={() => debugStore.reset()}>reset</button>
+      </div>
+      {presets.map((p) => (
+        <div key={p} className="flex gap-1">
+          <button type="button" className="flex-1 text-left" onClick={() => debugStore.loadPreset(p)}>{p}</button>
+          <button type="button" onClick={() => debugStore.deletePreset(p)} aria-label={`Delete preset ${p}`}>×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Section({ title, children }: { title: string; children: React.ReactNode }) {
+  return (
+    <details open className="border-t border-white/10 py-1">
+      <summary className="cursor-pointer opacity-70">{title}</summary>
+      <div className="space-y-1 pt-1">{children}</div>
+    </details>
+  );
+}
+
+/**
+ * The ?debug overlay: frame-time graph, every frame-loop subscriber with its
+ * priority and cost, the pointer in each space, and the controls, monitors
+ * and presets of lib/debug. Loaded lazily by RuntimeProvider.
+ */
+export default function DebugPanel() {
+  const [open, setOpen] = useState(true);
+  const [, refresh] = useReducer((n: number) => n + 1, 0);
+  useSyncExternalStore(debugStore.on, () => debugStore.snapshot);
+
+  // Profile callbacks only while the panel is up.
+  useEffect(() => {
+    frameLoop.profiling = true;
+    const id = window.setInterval(refresh, REFRESH_MS);
+    return () => {
+      frameLoop.profiling = false;
+      window.clearInterval(id);
+    };
+  }, []);
+
+  const p = pointerTracker.spaces;
+  return (
+    <div className="fixed right-2 top-2 z-[9999] w-72 max-h-[90vh] overflow-auto rounded bg-neutral-900/90 p-2 font-mono text-[11px] text-neutral-200 shadow-lg">
+      <button type="button" className="w-full text-left font-semibold" onClick={() => setOpen(!open)}>
+        debug {open ? "▾" : "▸"}
+      </button>
+      {open && (
+        <>
+          <FrameGraph />
+          <Section title={`frame loop · ${fmt(frameLoop.frameMs)} ms`}>
+            <table className="w-full">
+              <tbody>
+                {frameLoop.subscribers.map((s, i) => (
+                  <tr key={i} className={s.continuous ? "" : "opacity-60"}>
+                    <td>{s.index}</td>
+                    <td className="truncate">{s.label}{s.continuous ? "" : " (on demand)"}</td>
+                    <td className="text-right">{fmt(s.ms, 3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+          <Section title="pointer">
+            <div>px {vec(p.px, 0)}</div>
+            <div>screen {vec(p.screen)}</div>
+            <div>ndc {vec(p.ndc)}</div>
+            <div>gl {vec(p.gl, 0)}</div>
+            <div>v {vec(p.v, 0)} px/s</div>
+          </Section>
+          {[...debugStore.folders].map(([name, folder]) => (
+            <Section key={name} title={name}>
+              {[...folder.monitors].map(([key, read]) => {
+                const v = read();
+                return <div key={key} className="flex justify-between"><span>{key}</span><span className="whitespace-pre text-right">{typeof v === "number" ? fmt(v, 3) : String(v)}</span></div>;
+              })}
+              {Object.entries(folder.schema).map(([key, control]) => (
+                <Control key={key} folder={name} name={key} control={control} value={folder.values[key]} />
+              ))}
+            </Section>
+          ))}
+          <Section title="presets"><Presets /></Section>
+        </>
+      )}
+    </div>
+  );
+}
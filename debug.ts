@@ -0,0 +1,133 @@
+// lib/debug.ts
+// Live-tweakable values and readouts for the debug overlay. Components
+// declare controls (numbers, booleans, colors) and monitors under a folder
+// name; the overlay edits them and saves presets to localStorage. Everything
+// is inert unless the page was opened with ?debug. Production builds compile
+// it out (DEBUG is a constant false, so the hooks are no-ops and the overlay
+// chunk is never emitted) unless they set NEXT_PUBLIC_DEBUG=on. DEBUG is also
+// false on the server, so anything rendered from it must wait until after
+// hydration.
+
+export const DEBUG =
+  (process.env.NODE_ENV !== "production" || process.env.NEXT_PUBLIC_DEBUG === "on") &&
+  typeof window !== "undefined" &&
+  new URLSearchParams(window.location.search).has("debug");
+
+export type DebugControl =
+  | { value: number; min?: number; max?: number; step?: number }
+  | { value: boolean }
+  | { value: string; color: true };
+export type DebugSchema = Record<string, DebugControl>;
+export type DebugValues<S extends DebugSchema> = { [K in keyof S]: S[K]["value"] };
+
+type Folder = { schema: DebugSchema; values: Record<string, unknown>; monitors: Map<string, () => unknown>; users: number };
+
+const PRESETS_KEY = "debugPresets";
+
+export class DebugStore {
+  readonly folders = new Map<string, Folder>();
+  private listeners = new Set<() => void>();
+  private version = 0;
+
+  /** Bumped on every change; a cheap snapshot for useSyncExternalStore. */
+  get snapshot() { return this.version; }
+
+  on = (cb: () => void) => {
+    this.listeners.add(cb);
+    return () => { this.listeners.delete(cb); };
+  };
+
+  /** Declare controls; values already edited (or loaded from a preset) are kept. Returns unregister. */
+  register(name: string, schema: DebugSchema) {
+    const folder = this.folder(name);
+    folder.users++;
+    Object.assign(folder.schema, schema);
+    for (const [key, c] of Object.entries(schema)) if (!(key in folder.values)) folder.values[key] = c.value;
+    this.emit();
+    return () => {
+      if (--folder.users > 0) return;
+      this.folders.delete(name);
+      this.emit();
+    };
+  }
+
+  /** A read-only value the overlay polls, e.g. monitor("peel", "progress", () => v.get()). Returns remove. */
+  monitor(name: string, key: string, read: () => unknown) {
+    const folder = this.folder(name);
+    folder.monitors.set(key, read);
+    this.emit();
+    return () => {
+      if (folder.monitors.get(key) !== read) return; // replaced by a later monitor
+      folder.monitors.delete(key);
+      if (!folder.users && !folder.monitors.size) this.folders.delete(name);
+      this.emit();
+    };
+  }
+
+  get(name: string, key: string) { return this.folders.get(name)?.values[key]; }
+
+  set(name: string, key: string, value: unknown) {
+    const folder = this.folders.get(name);
+    if (!folder || folder.values[key] === value) return;
+    folder.values[key] = value;
+    this.emit();
+  }
+
+  /** Reset a folder (or every folder) to its declared values. */
+  reset(name?: string) {
+    for (const [n, folder] of this.folders) {
+      if (name !== undefined && n !== name) continue;
+      for (const [key, c] of Object.entries(folder.schema)) folder.values[key] = c.value;
+    }
+    this.emit();
+  }
+
+  presets(): Record<string, Record<string, Record<string, unknown>>> {
+    try { return JSON.parse(localStorage.getItem(PRESETS_KEY) ?? "{}"); } catch { return {}; }
+  }
+
+  savePreset(preset: string) {
+    const all = this.presets();
+    all[preset] = Object.fromEntries([...this.folders].map(([n, f]) => [n, { ...f.values }]));
+    this.writePresets(all);
+  }
+
+  loadPreset(preset: string) {
+    const saved = this.presets()[preset];
+    if (!saved) return;
+    for (const [n, values] of Object.entries(saved)) {
+      const folder = this.folders.get(n);
+      if (!folder) continue;
+      for (const [key, v] of Object.entries(values)) if (key in folder.schema) folder.values[key] = v;
+    }
+    this.emit();
+  }
+
+  deletePreset(preset: string) {
+    const all = this.presets();
+    delete all[preset];
+    this.writePresets(all);
+  }
+
+  private writePresets(all: Record<string, unknown>) {
+    try { localStorage.setItem(PRESETS_KEY, JSON.stringify(all)); } catch {}
+    this.emit();
+  }
+
+  private folder(name: string) {
+    let folder = this.folders.get(name);
+    if (!folder) this.folders.set(name, (folder = { schema: {}, values: {}, monitors: new Map(), users: 0 }));
+    return folder;
+  }
+
+  private emit() {
+    this.version++;
+    for (const cb of this.listeners) cb();
+  }
+}
+
+export const debugStore = new DebugStore();
+
+/** The declared values of a schema, as used when debugging is off. */
+export const defaultsOf = <S extends DebugSchema>(schema: S) =>
+  Object.fromEntries(Object.entries(schema).map(([k, c]) => [k, c.value])) as DebugValues<S>;
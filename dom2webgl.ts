@@ -0,0 +1,137 @@
+// lib/dom2webgl.ts
+// Registry of DOM elements mirrored by GL planes in one shared canvas. Tag an
+// element with data-webgl (optionally data-webgl="peel" etc. to pick the
+// effect); <img> elements use their currentSrc, anything else data-webgl-src
+// or its CSS background image. Width candidates come from an image's srcset
+// (or data-webgl-srcset), and <video> / <canvas> elements are drawn live.
+// The DOM original stays in the layout (and the accessibility tree) and is
+// only made transparent once its texture is ready.
+import { frameLoop } from "@/lib/frameLoop";
+import { smoothScroll } from "@/lib/smoothScroll";
+import { parseSrcset, type SourceCandidate } from "@/lib/textures";
+
+export const DOM2WEBGL_SELECTOR = "[data-webgl]";
+
+export type DomPlaneItem = {
+  id: number;
+  el: HTMLElement;
+  kind: string;         // data-webgl value, "" when bare
+  src: string | null;   // texture url
+  srcset: SourceCandidate[]; // responsive alternatives to src, picked by drawn width
+  live: HTMLVideoElement | HTMLCanvasElement | null; // drawn from the element itself
+  ready: boolean;       // texture uploaded; DOM original hidden
+};
+
+export type Rect = { left: number; top: number; width: number; height: number };
+
+function sourceOf(el: HTMLElement) {
+  if (el instanceof HTMLImageElement || el instanceof HTMLVideoElement) return el.currentSrc || el.src || null;
+  if (el instanceof HTMLCanvasElement) return null;
+  if (el.dataset.webglSrc) return el.dataset.webglSrc;
+  const bg = getComputedStyle(el).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+  return bg ? bg[1] : null;
+}
+
+function srcsetOf(el: HTMLElement) {
+  const srcset = el instanceof HTMLImageElement ? el.srcset : el.dataset.webglSrcset;
+  return srcset ? parseSrcset(srcset) : [];
+}
+
+export class Dom2Webgl {
+  private items = new Map<HTMLElement, DomPlaneItem>();
+  private listeners = new Set<(items: DomPlaneItem[]) => void>();
+  private opacity = new WeakMap<HTMLElement, string>();
+  private nextId = 1;
+  private attached = 0;
+  private detachAll: (() => void) | null = null;
+
+  get list() { return [...this.items.values()]; }
+
+  on = (cb: (items: DomPlaneItem[]) => void) => {
+    this.listeners.add(cb);
+    cb(this.list);
+    return () => { this.listeners.delete(cb); };
+  };
+
+  /** Scan for tagged elements and redraw on scroll/resize; reference counted, returns detach. */
+  attach = (root: ParentNode = document) => {
+    if (typeof window === "undefined") return () => {};
+    if (this.attached++ === 0) {
+      const redraw = () => frameLoop.invalidate();
+      const offScroll = smoothScroll.on(redraw);
+      window.addEventListener("scroll", redraw, { passive: true });
+      window.addEventListener("resize", redraw, { passive: true });
+      this.detachAll = () => {
+        offScroll();
+        window.removeEventListener("scroll", redraw);
+        window.removeEventListener("resize", redraw);
+        for (const el of [...this.items.keys()]) this.remove(el);
+      };
+    }
+    this.scan(root);
+    return () => {
+      if (--this.attached > 0) return;
+      this.detachAll?.();
+      this.detachAll = null;
+    };
+  };
+
+  scan = (root: ParentNode = document, selector = DOM2WEBGL_SELECTOR) => {
+    root.querySelectorAll<HTMLElement>(selector).forEach((el) => this.add(el));
+  };
+
+  add = (el: HTMLElement, kind = el.dataset.webgl ?? "") => {
+    if (this.items.has(el)) return this.items.get(el)!;
+    const live = el instanceof HTMLVideoElement || el instanceof HTMLCanvasElement ? el : null;
+    const item: DomPlaneItem = { id: this.nextId++, el, kind, src: sourceOf(el), srcset: srcsetOf(el), live, ready: false };
+    this.items.set(el, item);
+    // Lazy/responsive images may not have picked a source yet.
+    if (el instanceof HTMLImageElement && !item.src && !item.srcset.length) {
+      el.addEventListener("load", () => { item.src = sourceOf(el); this.emit(); }, { once: true });
+    }
+    this.emit();
+    return item;
+  };
+
+  remove = (el: HTMLElement) => {
+    const item = this.items.get(el);
+    if (!item) return;
+    this.setHidden(item, false);
+    this.items.delete(el);
+    this.emit();
+  };
+
+  /** The GL copy is drawing: hide the original (it keeps its layout and semantics). */
+  markReady = (item: DomPlaneItem, ready = true) => {
+    if (item.ready === ready) return;
+    item.ready = ready;
+    this.setHidden(item, ready);
+    frameLoop.invalidate();
+  };
+
+  /** The element's current viewport rect in CSS pixels. */
+  measure(item: DomPlaneItem, out: Rect) {
+    const r = item.el.getBoundingClientRect();
+    out.left = r.left; out.top = r.top; out.width = r.width; out.height = r.height;
+    return out;
+  }
+
+  private setHidden({ el }: DomPlaneItem, hidden: boolean) {
+    if (hidden) {
+      if (!this.opacity.has(el)) this.opacity.set(el, el.style.opacity);
+      el.style.opacity = "0";
+      el.setAttribute("data-webgl-ready", "");
+    } else if (this.opacity.has(el)) {
+      el.style.opacity = this.opacity.get(el)!;
+      this.opacity.delete(el);
+      el.removeAttribute("data-webgl-ready");
+    }
+  }
+
+  private emit() {
+    const list = this.list;
+    for (const cb of this.listeners) cb(list);
+  }
+}
+
+export const dom2webgl = new Dom2Webgl();
@@ -0,0 +1,180 @@
+// lib/frameLoop.ts
+// One frame scheduler for the whole page: RuntimeProvider's onRaf, the R3F
+// canvas (frameloop="never" + advance()) and the vanilla G.events.RAF all run
+// from here, in priority order, inside a single animation frame.
+
+// Shared per-frame timing. The object is reused every frame: copy what you keep.
+export type FrameInfo = {
+  t: number;        // frame timestamp (ms, performance.now clock)
+  dt: number;       // seconds since the previous frame, clamped and scaled by timeScale
+  elapsed: number;  // scaled seconds the loop has been running (excludes pauses)
+  frame: number;    // frames run so far
+};
+
+export type FrameCallback = (t: number, info: FrameInfo) => void;
+
+// Gaps longer than this (idle, breakpoint, hidden tab) count as one short step.
+const MAX_DT = 0.1;
+
+/**
+ * Frame-rate independent exponential smoothing: move `current` toward
+ * `target` with decay rate `lambda` (1/s) over `dt` seconds.
+ */
+export function damp(current: number, target: number, lambda: number, dt: number) {
+  return current + (target - current) * (1 - Math.exp(-lambda * dt));
+}
+
+/** Convert a per-frame lerp factor tuned at 60 fps into one for `dt` seconds. */
+export function frameFactor(factorAt60: number, dt: number) {
+  return 1 - Math.pow(1 - factorAt60, dt * 60);
+}
+
+// Lower runs first. Input is sampled before anything animates, and the GL
+// frame is drawn after every value it reads has been updated.
+export const FRAME_PRIORITY = {
+  INPUT: 0,      // pointer/scroll smoothing
+  ANIMATION: 1,  // tweens, springs, scroll-linked values
+  DEFAULT: 2,    // onRaf default
+  RENDER: 10,    // WebGL advance()
+  POST: 20,      // readbacks, debug overlays
+} as const;
+
+export type FrameOptions = {
+  // Continuous callbacks keep the loop alive; on-demand ones (the GL render)
+  // only run on frames someone asked for with invalidate().
+  continuous?: boolean;
+  label?: string;       // name in the debug overlay; defaults to the function's name
+};
+
+type Entry = { index: number; cb: FrameCallback; continuous: boolean; label: string; ms: number };
+
+// A subscriber as the debug overlay sees it; `ms` is only measured while profiling.
+export type FrameSubscriber = { index: number; label: string; continuous: boolean; ms: number };
+
+/** Where frames come from: requestAnimationFrame, or another library's ticker. */
+export type FrameDriver = {
+  request: (tick: (t: number) => void) => void;
+  cancel: () => void;
+};
+
+export function createRafDriver(): FrameDriver {
+  let id = 0;
+  return {
+    request: (tick) => { id = requestAnimationFrame(tick); },
+    cancel: () => cancelAnimationFrame(id),
+  };
+}
+
+export class FrameLoop {
+  timeScale = 1;
+  profiling = false; // time each callback (debug overlay); costs two now() calls per callback
+  frameMs = 0;       // smoothed total callback time per frame, while profiling
+  private entries: Entry[] = [];
+  private demand = 0;
+  private scheduled = false;
+  private driver: FrameDriver;
+  private paused = false;
+  private hidden = false;
+  private last = -1;
+  private info: FrameInfo = { t: 0, dt: 0, elapsed: 0, frame: 0 };
+
+  constructor(driver: FrameDriver = createRafDriver()) {
+    this.driver = driver;
+    // Hidden documents get no frames anyway; stopping keeps dt sane on return.
+    if (typeof document !== "undefined") {
+      document.addEventListener("visibilitychange", () => {
+        this.hidden = document.hidden;
+        this.stop();
+        this.schedule();
+      });
+    }
+  }
+
+  get isPaused() { return this.paused || this.hidden; }
+
+  pause = () => {
+    this.paused = true;
+    this.stop();
+  };
+
+  resume = () => {
+    this.paused = false;
+    this.schedule();
+  };
+
+  add = (cb: FrameCallback, index: number = FRAME_PRIORITY.DEFAULT, { continuous = true, label }: FrameOptions = {}) => {
+    const e: Entry = { index, cb, continuous, label: label ?? (cb.name || "anonymous"), ms: 0 };
+    this.entries.push(e);
+    this.entries.sort((a, b) => a.index - b.index); // stable: same priority keeps subscription order
+    this.schedule();
+    return () => { this.entries = this.entries.filter(x => x !== e); };
+  };
+
+  /** Request `frames` frames for on-demand callbacks (e.g. "something moved, redraw"). */
+  invalidate = (frames = 1) => {
+    this.demand = Math.max(this.demand, frames);
+    this.schedule();
+  };
+
+  setDriver(driver: FrameDriver) {
+    this.stop();
+    this.driver = driver;
+    this.schedule();
+  }
+
+  get subscribers(): FrameSubscriber[] {
+    return this.entries.map(({ index, label, continuous, ms }) => ({ index, label, continuous, ms }));
+  }
+
+  get running() {
+    return !this.isPaused && (this.demand > 0 || this.entries.some(e => e.continuous));
+  }
+
+  private stop() {
+    if (this.scheduled) this.driver.cancel();
+    this.scheduled = false;
+    this.last = -1; // the next frame starts a fresh dt
+  }
+
+  private schedule() {
+    if (this.scheduled || typeof window === "undefined") return;
+    if (!this.running) {
+      this.last = -1;
+      return;
+    }
+    this.scheduled = true;
+    this.driver.request(this.tick);
+  }
+
+  private tick = (t: number) => {
+    this.scheduled = false;
+    if (this.isPaused) return;
+    const demanded = this.demand > 0;
+    if (demanded) this.demand--;
+
+    const info = this.info;
+    info.dt = this.last < 0 ? 0 : Math.min((t - this.last) / 1000, MAX_DT) * this.timeScale;
+    info.t = t;
+    info.elapsed += info.dt;
+    info.frame++;
+    this.last = t;
+
+    // Snapshot: callbacks may subscribe/unsubscribe mid-frame.
+    const profiling = this.profiling;
+    let total = 0;
+    for (const e of this.entries.slice()) {
+      if (!e.continuous && !demanded) continue;
+      const start = profiling ? performance.now() : 0;
+      try { e.cb(t, info); } catch { /* swallow per-frame errors */ }
+      if (profiling) {
+        const ms = performance.now() - start;
+        e.ms += (ms - e.ms) * 0.1;
+        total += ms;
+      }
+    }
+    if (profiling) this.frameMs += (total - this.frameMs) * 0.1;
+    this.schedule();
+  };
+}
+
+export const frameLoop = new FrameLoop();
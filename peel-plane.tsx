@@ -0,0 +1,340 @@
+// components/PeelPlane.tsx
+"use client";
+import React, { forwardRef, useCallback, useEffect, useId, useImperativeHandle, useMemo, useRef, useState } from "react";
+import { useFrame, useThree, type ThreeEvent } from "@react-three/fiber";
+import * as THREE from "three";
+import {
+  useMotionValue, useMotionValueEvent, useScroll, useSpring,
+  type MotionValue, type SpringOptions,
+} from "framer-motion";
+import {
+  peelVertex, peelFragment, createPeelUniforms, applyPeelLook, type PeelLook,
+} from "@/components/peelShader";
+import { useDebugUniforms, useInvalidate, useQuality, useViewport } from "@/app/providers/RuntimeProvider";
+import { parseSrcset, pickSource, textures, type TextureSource } from "@/lib/textures";
+
+export const BEND_MAX = 1; // full cylinder curl; 0 keeps the page flat and only dissolves it
+export const PROGRESS_MAX = 1.5;
+
+type ScrollOffset = NonNullable<Parameters<typeof useScroll>[0]>["offset"];
+
+// Every driver produces a normalized 0..1 value; PeelPlane maps it to [0, max].
+export type PeelDriver =
+  | { type: "scroll"; target?: React.RefObject<HTMLElement>; offset?: ScrollOffset }
+  | { type: "hover"; target?: React.RefObject<HTMLElement>; spring?: SpringOptions }
+  | { type: "press"; target?: React.RefObject<HTMLElement>; duration?: number; releaseDuration?: number }
+  | { type: "trigger"; spring?: SpringOptions }
+  | { type: "time"; duration?: number; delay?: number; repeat?: false | "loop" | "pingpong" }
+  | { type: "motion"; value: MotionValue<number> };
+
+export type PeelPlaneHandle = {
+  progress: MotionValue<number>; // normalized 0..1 output of the active driver
+  peel: () => void;              // imperative methods drive "trigger" and "hover"
+  unpeel: () => void;
+  toggle: () => void;
+  set: (v: number) => void;
+};
+
+const DEFAULT_SPRING: SpringOptions = { stiffness: 120, damping: 20 };
+const clamp01 = (v: number) => Math.min(1, Math.max(0, v));
+
+/**
+ * Ask for a GL frame: the shared loop under <RuntimeCanvas>, or R3F's own
+ * invalidate for a plain <Canvas frameloop="demand">.
+ */
+export function useRequestFrame() {
+  const invalidate = useInvalidate();
+  const r3fInvalidate = useThree((s) => s.invalidate);
+  return useCallback(() => { invalidate(); r3fInvalidate(); }, [invalidate, r3fInvalidate]);
+}
+
+/**
+ * A texture from the shared cache (lib/textures): an image or KTX2 url, a
+ * <video> or a <canvas>. Null until the first source is ready; when `source`
+ * changes the current texture stays up until the next one is, and the last
+ * one is released (disposed, unless something else holds it) on unmount.
+ */
+export function useTextureSource(source: TextureSource | null, onError?: (error: unknown) => void) {
+  const [texture, setTexture] = useState<THREE.Texture | null>(null);
+  const shown = useRef<(() => void) | null>(null); // release of the texture on screen
+  const errorRef = useRef(onError);
+  errorRef.current = onError;
+  const requestFrame = useRequestFrame();
+  useEffect(() => {
+    if (!source) return;
+    const handle = textures.acquire(source);
+    let active = true, held = false;
+    handle.promise.then((t) => {
+      if (!active) return;
+      shown.current?.();
+      shown.current = handle.release;
+      held = true;
+      setTexture(t);
+      requestFrame();
+    }, (err) => { if (active) errorRef.current?.(err); });
+    return () => {
+      active = false;
+      if (!held) handle.release();
+    };
+  }, [source, requestFrame]);
+  useEffect(() => () => { shown.current?.(); shown.current = null; }, []);
+  return texture;
+}
+
+/**
+ * Resolve a driver into a normalized MotionValue plus the pointer handlers
+ * the mesh needs for hover/press when no DOM target is given. All hooks run
+ * unconditionally so the driver can change between renders.
+ */
+export function usePeelDriver(driver: PeelDriver) {
+  const target = useMotionValue(0); // hover/trigger goal, press/time output
+  const spring = useSpring(target, ("spring" in driver && driver.spring) || DEFAULT_SPRING);
+  const scrollTarget = driver.type === "scroll" ? driver.target : undefined;
+  const { scrollYProgress } = useScroll({
+    target: scrollTarget,
+    offset: driver.type === "scroll" ? driver.offset : undefined,
+  });
+
+  const requestFrame = useRequestFrame();
+  const holding = useRef(false);
+  const setHolding = useCallback((v: boolean) => { holding.current = v; requestFrame(); }, [requestFrame]);
+  const elapsed = useRef(0);
+  const driverRef = useRef(driver);
+  driverRef.current = driver;
+
+  useEffect(() => { elapsed.current = 0; requestFrame(); }, [driver.type, requestFrame]);
+
+  // Per-frame drivers advance in the same frame the shader reads them, and
+  // keep asking for frames only while they are still moving.
+  useFrame((_, delta) => {
+    const d = driverRef.current;
+    if (d.type === "press") {
+      const rate = holding.current ? 1 / (d.duration ?? 1.2) : -1 / (d.releaseDuration ?? 0.6);
+      const next = clamp01(target.get() + rate * delta);
+      target.set(next);
+      if (holding.current ? next < 1 : next > 0) requestFrame();
+    } else if (d.type === "time") {
+      elapsed.current += delta;
+      const t = Math.max(0, elapsed.current - (d.delay ?? 0)) / (d.duration ?? 2);
+      if (d.repeat === "loop") target.set(t % 1);
+      else if (d.repeat === "pingpong") target.set(1 - Math.abs((t % 2) - 1));
+      else target.set(clamp01(t));
+      if (d.repeat || t < 1) requestFrame();
+    }
+  });
+
+  // DOM targets for hover/press; without one the mesh handlers below are used.
+  const domTarget = (driver.type === "hover" || driver.type === "press") ? driver.target : undefined;
+  useEffect(() => {
+    const el = domTarget?.current;
+    if (!el) return;
+    if (driver.type === "hover") {
+      const enter = () => target.set(1);
+      const leave = () => target.set(0);
+      el.addEventListener("pointerenter", enter);
+      el.addEventListener("pointerleave", leave);
+      return () => {
+        el.removeEventListener("pointerenter", enter);
+        el.removeEventListener("pointerleave", leave);
+      };
+    }
+    const down = () => setHolding(true);
+    el.addEventListener("pointerdown", down);
+    return () => el.removeEventListener("pointerdown", down);
+  }, [domTarget, driver.type, target, setHolding]);
+
+  // A press that started on the mesh can be released anywhere.
+  useEffect(() => {
+    if (driver.type !== "press") return;
+    const off = () => setHolding(false);
+    window.addEventListener("pointerup", off);
+    window.addEventListener("pointercancel", off);
+    return () => {
+      window.removeEventListener("pointerup", off);
+      window.removeEventListener("pointercancel", off);
+    };
+  }, [driver.type, setHolding]);
+
+  const meshHandlers = useMemo(() => {
+    if (domTarget) return {};
+    if (driver.type === "hover") {
+      return {
+        onPointerOver: (e: ThreeEvent<PointerEvent>) => { e.stopPropagation(); target.set(1); },
+        onPointerOut: () => target.set(0),
+      };
+    }
+    if (driver.type === "press") {
+      return { onPointerDown: (e: ThreeEvent<PointerEvent>) => { e.stopPropagation(); setHolding(true); } };
+    }
+    return {};
+  }, [domTarget, driver.type, target, setHolding]);
+
+  let value: MotionValue<number>;
+  switch (driver.type) {
+    case "scroll": value = scrollYProgress; break;
+    case "hover":
+    case "trigger": value = spring; break;
+    case "motion": value = driver.value; break;
+    default: value = target;
+  }
+
+  const handle = useMemo(() => ({
+    peel: () => target.set(1),
+    unpeel: () => target.set(0),
+    toggle: () => target.set(target.get() > 0.5 ? 0 : 1),
+    set: (v: number) => target.set(clamp01(v)),
+  }), [target]);
+
+  return { value, meshHandlers, handle };
+}
+
+function PeelMaterial({ texture, progress, bend, max, opacity, depthWrite, width, height, look, originRef, lighting, debugName }: {
+  texture: THREE.Texture; progress: MotionValue<number>; bend: number; max: number;
+  opacity: number | MotionValue<number>; depthWrite: boolean;
+  width: number; height: number; look: PeelLook;
+  originRef?: React.MutableRefObject<[number, number] | null>;
+  lighting: boolean;
+  debugName: string;
+}) {
+  const matRef = useRef<THREE.ShaderMaterial>(null!);
+  const uniforms = useMemo(() => createPeelUniforms(texture), [texture]);
+  const applyDebug = useDebugUniforms(debugName, uniforms);
+  useFrame(() => {
+    if (!matRef.current) return;
+    uniforms.u_progress.value = progress.get() * max;
+    uniforms.u_bend.value = bend;
+    uniforms.u_max.value = max;
+    uniforms.u_opacity.value = typeof opacity === "number" ? opacity : opacity.get();
+    uniforms.u_size.value.set(width, height);
+    applyPeelLook(uniforms, originRef ? { ...look, origin: originRef.current } : look);
+    applyDebug();
+  });
+  return (
+    <shaderMaterial
+      key={lighting ? "lit" : "flat"} // defines are compiled in: a new program per variant
+      ref={matRef}
+      defines={lighting ? { PEEL_LIGHTING: "" } : {}}
+      uniforms={uniforms}
+      vertexShader={peelVertex}
+      fragmentShader={peelFragment}
+      side={THREE.DoubleSide}
+      transparent
+      depthWrite={depthWrite}
+    />
+  );
+}
+
+type PeelPlaneProps = Omit<PeelLook, "origin"> & {
+  texture?: THREE.Texture;
+  src?: TextureSource;   // loaded through lib/textures when no texture is given; <video>/<canvas> draw live
+  srcset?: string;       // "url 640w, ..." alternatives to a src url, picked by the plane's drawn width
+  origin?: PeelLook["origin"] | "pointer"; // "pointer": start nearest to where the pointer last was
+  driver?: PeelDriver;
+  bend?: number;         // 0..1 blend from flat to full curl
+  max?: number;          // progress at driver value 1
+  size?: number;         // plane width as a fraction of the viewport width
+  width?: number;        // world units; overrides size (e.g. matched to a DOM element)
+  height?: number;       // world units; defaults to width over the texture aspect
+  segments?: number;     // defaults to the quality tier's
+  position?: [number, number, number];
+  opacity?: number | MotionValue<number>;
+  renderOrder?: number;  // draw order among overlapping transparent planes
+  depthWrite?: boolean;  // disable when planes overlap so lower pages show through
+  onProgress?: (v: number) => void; // normalized driver value
+  debugName?: string;    // ?debug folder for the uniforms; one per plane by default
+};
+
+/**
+ * A fitted, peelable image plane. Must be rendered inside a R3F <Canvas>.
+ * Draws `texture`, or whatever `src` / `srcset` resolve to once loaded.
+ * `driver` decides what moves `u_progress`; defaults to page scroll. The curl,
+ * reverse side and lighting are configured with the PeelLook props.
+ */
+function PeelPlane(
+  {
+    texture: textureProp,
+    src,
+    srcset,
+    driver = { type: "scroll" },
+    bend = BEND_MAX,
+    max = PROGRESS_MAX,
+    size = 0.7,
+    width: widthProp,
+    height: heightProp,
+    segments: segmentsProp,
+    position = [0, 0, 0],
+    opacity = 1,
+    renderOrder = 0,
+    depthWrite = true,
+    onProgress,
+    origin,
+    debugName,
+    ...look
+  }: PeelPlaneProps,
+  ref: React.Ref<PeelPlaneHandle>
+) {
+  const { viewport, size: canvasSize } = useThree();
+  const tier = useQuality();
+  const segments = segmentsProp ?? tier.segments;
+  const { value, meshHandlers, handle } = usePeelDriver(driver);
+  const requestFrame = useRequestFrame();
+  const id = useId();
+  useImperativeHandle(ref, () => ({ progress: value, ...handle }), [value, handle]);
+  useMotionValueEvent(value, "change", (v) => { onProgress?.(v); requestFrame(); });
+
+  const width = widthProp ?? viewport.width * size;
+  const candidates = useMemo(() => (srcset ? parseSrcset(srcset) : []), [srcset]);
+  const cssWidth = Math.round((width * canvasSize.width) / viewport.width);
+  const dpr = Math.min(useViewport((s) => s.dpr), tier.dpr);
+  const source = useMemo(
+    () => (typeof src === "string" || src === undefined ? pickSource(candidates, cssWidth, dpr) ?? src ?? null : src),
+    [src, candidates, cssWidth, dpr]
+  );
+  const loaded = useTextureSource(textureProp ? null : source);
+  const texture = textureProp ?? loaded;
+
+  const img: any = texture?.image;
+  const w = img?.videoWidth || img?.naturalWidth || img?.width || 3;
+  const h = img?.videoHeight || img?.naturalHeight || img?.height || 2;
+  const height = heightProp ?? width / (w / h);
+
+  // The material reads these in useFrame: redraw when one changes.
+  const { direction, radius, backTexture, backColor, lightDir, ambient, specular, shininess, shadow } = look;
+  useEffect(() => { requestFrame(); }, [
+    requestFrame, texture, width, height, segments, bend, max, opacity, position.join(), renderOrder, depthWrite,
+    tier.lighting, Array.isArray(origin) ? origin.join() : origin, direction, radius, backTexture, backColor,
+    lightDir?.join(), ambient, specular, shininess, shadow,
+  ]);
+
+  // Pointer origin follows the cursor over the page while it is at rest, and
+  // is held once the peel has started so the direction doesn't swing mid-curl.
+  const pointerOrigin = useRef<[number, number] | null>(null);
+  const onPointerMove = (e: ThreeEvent<PointerEvent>) => {
+    if (origin !== "pointer" || !e.uv || value.get() > 0.02) return;
+    pointerOrigin.current = [e.uv.x, e.uv.y];
+    requestFrame();
+  };
+
+  if (!texture) return null;
+  return (
+    <mesh position={position} renderOrder={renderOrder} onPointerMove={onPointerMove} {...meshHandlers}>
+      <planeGeometry args={[width, height, segments, segments]} />
+      <PeelMaterial
+        texture={texture}
+        progress={value}
+        bend={bend}
+        max={max}
+        opacity={opacity}
+        depthWrite={depthWrite}
+        width={width}
+        height={height}
+        look={origin === "pointer" ? look : { ...look, origin }}
+        originRef={origin === "pointer" ? pointerOrigin : undefined}
+        lighting={tier.lighting}
+        debugName={debugName ?? `peel uniforms ${id}`}
+      />
+    </mesh>
+  );
+}
+
+export default forwardRef(PeelPlane);
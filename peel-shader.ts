@@ -0,0 +1,216 @@
+// components/peelShader.ts
+import * as THREE from "three";
+
+/*
+ * Cylindrical page curl.
+ *
+ * The page lies in the plane's local XY. `u_angle` is the direction the peel
+ * travels (see resolvePeelAngle): the edge or corner facing away from it lifts
+ * first, and the curl, reveal mask and shadow all run along it. Along that
+ * direction a curl line advances by `u_progress * length`; paper behind the line wraps
+ * around a cylinder of radius `u_radius * length` (front side inward, like a
+ * peeled sticker) and, past half a turn, lies flat on top with its back up.
+ * `u_bend` blends between the flat page (0) and the full curl (1).
+ */
+export const peelVertex = /* glsl */ `
+  #define PI 3.14159265359
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewPos;
+  varying float vCurl;   // arc length already lifted (0 on the flat page)
+  varying float vAhead;  // distance in front of the curl line (0 on the curl)
+  varying float vLength;
+  uniform float u_progress;
+  uniform float u_bend;
+  uniform float u_max;
+  uniform float u_angle;
+  uniform float u_radius;
+  uniform vec2 u_size;
+
+  void main() {
+    vUv = uv;
+    vec3 pos = position;
+    vec2 dir = vec2(cos(u_angle), sin(u_angle));
+    float halfLen = 0.5 * (abs(dir.x) * u_size.x + abs(dir.y) * u_size.y);
+    float len = 2.0 * halfLen;
+    float along = dot(pos.xy, dir) + halfLen;     // 0 at the lifted edge
+    float curlLine = clamp(u_progress, 0.0, u_max) * len;
+    float t = curlLine - along;
+    float R = max(u_radius * len, 1e-4);
+
+    vec3 n = vec3(0.0, 0.0, 1.0);
+    if (t > 0.0) {
+      float theta = min(t / R, PI);
+      float moved = curlLine - R * sin(theta);
+      float z = R * (1.0 - cos(theta));
+      if (t > PI * R) {
+        moved = curlLine + (t - PI * R);
+        z = 2.0 * R;
+      }
+      float k = clamp(u_bend, 0.0, 1.0);
+      pos = mix(pos, vec3(pos.xy + dir * (moved - along), pos.z + z), k);
+      n = normalize(mix(n, vec3(dir * sin(theta), cos(theta)), k));
+    }
+    vCurl = max(t, 0.0);
+    vAhead = max(-t, 0.0) + step(curlLine, 0.0) * len; // no shadow before the peel starts
+    vLength = len;
+
+    vNormal = normalize(normalMatrix * n);
+    vec4 mv = modelViewMatrix * vec4(pos, 1.0);
+    vViewPos = mv.xyz;
+    gl_Position = projectionMatrix * mv;
+  }
+`;
+
+export const peelFragment = /* glsl */ `
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewPos;
+  varying float vCurl;
+  varying float vAhead;
+  varying float vLength;
+  uniform sampler2D u_tex;
+  uniform sampler2D u_backTex;
+  uniform float u_hasBackTex;
+  uniform vec3 u_backColor;
+  uniform float u_angle;
+  uniform vec3 u_lightDir;   // view space
+  uniform float u_ambient;
+  uniform float u_specular;
+  uniform float u_shininess;
+  uniform float u_shadow;
+  uniform float u_radius;
+  uniform float u_opacity;
+
+  void main() {
+    vec3 n = normalize(vNormal);
+    vec4 c;
+    if (gl_FrontFacing) {
+      c = texture2D(u_tex, vUv);
+    } else {
+      n = -n;
+      // Mirror across the fold so the reverse side reads the right way round.
+      vec2 dir = vec2(cos(u_angle), sin(u_angle));
+      vec2 p = vUv - 0.5;
+      vec2 backUv = p - 2.0 * dot(p, dir) * dir + 0.5;
+      c = u_hasBackTex > 0.5 ? texture2D(u_backTex, backUv) : vec4(u_backColor, 1.0);
+    }
+
+    // Lambert + Blinn-Phong, normalized so the resting page keeps its colors.
+    vec3 l = normalize(u_lightDir);
+    vec3 h = normalize(l + normalize(-vViewPos));
+    float rest = u_ambient + (1.0 - u_ambient) * max(l.z, 0.0);
+    float diffuse = (u_ambient + (1.0 - u_ambient) * max(dot(n, l), 0.0)) / max(rest, 1e-3);
+    // Specular and the curl's cast shadow are dropped on low quality tiers.
+    #ifdef PEEL_LIGHTING
+    float spec = u_specular * pow(max(dot(n, h), 0.0), u_shininess);
+
+    // Soft shadow cast by the curl onto the flat paper in front of it.
+    float shadow = u_shadow * (1.0 - smoothstep(0.0, 2.5 * u_radius * vLength, vAhead)) * step(vCurl, 0.0);
+    #else
+    float spec = 0.0;
+    float shadow = 0.0;
+    #endif
+
+    c.rgb = c.rgb * diffuse * (1.0 - shadow) + spec;
+
+    // The flap dissolves once it has travelled most of a page length.
+    float reveal = 1.0 - smoothstep(0.5 * vLength, vLength, vCurl);
+    gl_FragColor = vec4(c.rgb, c.a * reveal * u_opacity);
+  }
+`;
+
+// The side or corner that lifts first, or the travel angle in radians.
+export type PeelDirection =
+  | "top" | "bottom" | "left" | "right"
+  | "top-left" | "top-right" | "bottom-left" | "bottom-right"
+  | number;
+
+export type PeelLook = {
+  direction?: PeelDirection;
+  origin?: [number, number] | null;     // uv point the peel starts nearest to; travels through the center
+  radius?: number;                      // curl radius as a fraction of the page length
+  backTexture?: THREE.Texture | null;   // reverse side; falls back to backColor
+  backColor?: THREE.ColorRepresentation;
+  lightDir?: [number, number, number];  // view space
+  ambient?: number;
+  specular?: number;
+  shininess?: number;
+  shadow?: number;                      // 0..1 darkness of the curl's cast shadow
+};
+
+export const DEFAULT_LOOK: Required<Omit<PeelLook, "backTexture" | "origin">> & {
+  backTexture: THREE.Texture | null; origin: [number, number] | null;
+} = {
+  direction: "bottom",
+  origin: null,
+  radius: 0.12,
+  backTexture: null,
+  backColor: "#f2efe9",
+  lightDir: [-0.4, 0.6, 0.7],
+  ambient: 0.55,
+  specular: 0.35,
+  shininess: 40,
+  shadow: 0.35,
+};
+
+export function createPeelUniforms(texture: THREE.Texture) {
+  return {
+    u_tex: { value: texture },
+    u_progress: { value: 0 },
+    u_bend: { value: 0 },
+    u_max: { value: 1 },
+    u_opacity: { value: 1 },
+    u_size: { value: new THREE.Vector2(1, 1) },
+    u_angle: { value: Math.PI / 2 },
+    u_radius: { value: DEFAULT_LOOK.radius },
+    u_backTex: { value: null as THREE.Texture | null },
+    u_hasBackTex: { value: 0 },
+    u_backColor: { value: new THREE.Color(DEFAULT_LOOK.backColor) },
+    u_lightDir: { value: new THREE.Vector3(...DEFAULT_LOOK.lightDir) },
+    u_ambient: { value: DEFAULT_LOOK.ambient },
+    u_specular: { value: DEFAULT_LOOK.specular },
+    u_shininess: { value: DEFAULT_LOOK.shininess },
+    u_shadow: { value: DEFAULT_LOOK.shadow },
+  };
+}
+
+/**
+ * Travel angle (radians, plane-local) for a direction/origin on a page of the
+ * given size. Corners travel along the diagonal; an origin without an explicit
+ * direction travels from that point through the page center.
+ */
+export function resolvePeelAngle(direction: PeelDirection | undefined, origin: [number, number] | null | undefined, width: number, height: number) {
+  if (direction === undefined && origin) {
+    const dx = (0.5 - origin[0]) * width;
+    const dy = (0.5 - origin[1]) * height;
+    if (dx !== 0 || dy !== 0) return Math.atan2(dy, dx);
+  }
+  switch (direction ?? DEFAULT_LOOK.direction) {
+    case "bottom": return Math.PI / 2;
+    case "top": return -Math.PI / 2;
+    case "left": return 0;
+    case "right": return Math.PI;
+    case "bottom-left": return Math.atan2(height, width);
+    case "bottom-right": return Math.atan2(height, -width);
+    case "top-left": return Math.atan2(-height, width);
+    case "top-right": return Math.atan2(-height, -width);
+    default: return direction as number;
+  }
+}
+
+/** Copy a (partial) look onto the uniforms; cheap enough to run every frame. */
+export function applyPeelLook(uniforms: ReturnType<typeof createPeelUniforms>, look: PeelLook) {
+  const l = { ...DEFAULT_LOOK, ...look };
+  const size = uniforms.u_size.value;
+  uniforms.u_angle.value = resolvePeelAngle(look.direction, l.origin, size.x, size.y);
+  uniforms.u_radius.value = l.radius;
+  uniforms.u_backTex.value = l.backTexture;
+  uniforms.u_hasBackTex.value = l.backTexture ? 1 : 0;
+  uniforms.u_backColor.value.set(l.backColor);
+  uniforms.u_lightDir.value.set(...l.lightDir);
+  uniforms.u_ambient.value = l.ambient;
+  uniforms.u_specular.value = l.specular;
+  uniforms.u_shininess.value = l.shininess;
+  uniforms.u_shadow.value = l.shadow;
+}
@@ -0,0 +1,109 @@
+// components/PeelStack.tsx
+"use client";
+import React, { useRef } from "react";
+import { useThree } from "@react-three/fiber";
+import { useMotionValueEvent, useTransform, type MotionValue } from "framer-motion";
+import PeelPlane, { BEND_MAX, PROGRESS_MAX, usePeelDriver, type PeelDriver } from "@/components/PeelPlane";
+import type { PeelDirection } from "@/components/peelShader";
+import { textures, type TextureSource } from "@/lib/textures";
+
+type PeelStackProps = {
+  srcs: TextureSource[];           // image/KTX2 urls, <video> or <canvas> elements
+  layout?: "stack" | "spread";
+  driver?: PeelDriver;             // one driver for the whole stack
+  stagger?: number;                // start delay between consecutive pages, 0..1 of the timeline
+  bend?: number | number[];        // per page when an array
+  direction?: PeelDirection | PeelDirection[];
+  max?: number;
+  size?: number;                   // stack: page width; spread: total width (fraction of viewport width)
+  gap?: number;                    // spread: gap between pages (fraction of viewport width)
+  depth?: number;                  // stack: z distance between pages
+  offset?: [number, number];       // stack: x/y shift per page
+  segments?: number;               // defaults to the quality tier's
+  onProgress?: (v: number) => void;
+};
+
+const clamp01 = (v: number) => Math.min(1, Math.max(0, v));
+
+/**
+ * Several peel planes on one timeline: page i peels during
+ * [i * stagger, i * stagger + span], where span fills what is left of 0..1.
+ * With the default stagger (1 / pages) the pages peel strictly in sequence.
+ * Each page appears once its own texture has loaded.
+ */
+export default function PeelStack({
+  srcs,
+  layout = "stack",
+  driver = { type: "scroll" },
+  stagger,
+  bend = BEND_MAX,
+  direction,
+  max = PROGRESS_MAX,
+  size = 0.7,
+  gap = 0.02,
+  depth = 0.02,
+  offset = [0.04, -0.04],
+  segments,
+  onProgress,
+}: PeelStackProps) {
+  const { viewport } = useThree();
+  const { value, meshHandlers } = usePeelDriver(driver);
+  useMotionValueEvent(value, "change", (v) => onProgress?.(v));
+
+  const n = srcs.length;
+  const step = Math.min(stagger ?? 1 / n, n > 1 ? 1 / n : 1);
+  const span = 1 - step * (n - 1);
+  const pageSize = layout === "spread" ? (size - gap * (n - 1)) / n : size;
+
+  return (
+    <group {...meshHandlers}>
+      {srcs.map((src, i) => {
+        const position: [number, number, number] = layout === "spread"
+          ? [viewport.width * (-size / 2 + pageSize / 2 + i * (pageSize + gap)), 0, 0]
+          : [i * offset[0], i * offset[1], -i * depth];
+        return (
+          <StackPage
+            key={`${i}:${textures.keyOf(src)}`} // the same src may appear twice
+            src={src}
+            progress={value}
+            start={i * step}
+            span={span}
+            // In a stack the top pages fade once peeled; the last one stays as the backdrop.
+            fadeOut={layout === "stack" && i < n - 1}
+            bend={Array.isArray(bend) ? bend[i] ?? BEND_MAX : bend}
+            direction={Array.isArray(direction) ? direction[i] : direction}
+            max={max}
+            size={pageSize}
+            segments={segments}
+            position={position}
+            renderOrder={layout === "stack" ? n - i : 0}
+            depthWrite={layout !== "stack"}
+          />
+        );
+      })}
+    </group>
+  );
+}
+
+function StackPage({ progress, start, span, fadeOut, ...plane }: {
+  src: TextureSource;
+  progress: MotionValue<number>;
+  start: number;
+  span: number;
+  fadeOut: boolean;
+  bend: number;
+  direction?: PeelDirection;
+  max: number;
+  size: number;
+  segments?: number;
+  position: [number, number, number];
+  renderOrder: number;
+  depthWrite: boolean;
+}) {
+  // The transforms are created once; read the latest props through a ref.
+  const timing = useRef({ start, span, fadeOut });
+  timing.current = { start, span, fadeOut };
+  const local = useTransform(progress, (v) => clamp01((v - timing.current.start) / timing.current.span));
+  const opacity = useTransform(local, (v) => (timing.current.fadeOut ? 1 - clamp01((v - 0.8) / 0.2) : 1));
+  return <PeelPlane {...plane} driver={{ type: "motion", value: local }} opacity={opacity} />;
+}
@@ -0,0 +1,216 @@
+// lib/pointer.ts
+// Pointer Events tracking for the whole page: every active pointer (mouse,
+// pen, each touch) with start/previous/current positions, down/move/drag/up
+// listeners, and the primary pointer in the coordinate spaces the UI and GL
+// layers use, plus damped "smooth" copies and a filtered velocity.
+import { damp, frameLoop, FRAME_PRIORITY, type FrameInfo } from "@/lib/frameLoop";
+
+export type Vec2 = { x: number; y: number };
+
+type Spaces = {
+  px: Vec2;      // pixels
+  screen: Vec2;  // [0..1]
+  ndc: Vec2;     // [-1..1], y up
+  gl: Vec2;      // centered pixels, y up
+};
+
+export type PointerSpaces = Spaces & {
+  v: Vec2;        // filtered velocity, px/s
+  smooth: Spaces; // damped toward the raw spaces every frame
+  down: boolean;  // primary pointer pressed
+};
+
+export type TrackedPointer = {
+  id: number;
+  type: string;      // "mouse" | "pen" | "touch"
+  primary: boolean;
+  down: boolean;
+  dragging: boolean; // pressed and moved past DRAG_THRESHOLD
+  start: Vec2;       // client px where the press began
+  prev: Vec2;        // client px at the previous event
+  current: Vec2;     // client px now
+  v: Vec2;           // filtered velocity, px/s
+  t: number;         // timestamp of the last event (ms)
+};
+
+export type PointerPhase = "down" | "move" | "drag" | "up";
+export type PointerListener = (p: TrackedPointer, e: PointerEvent) => void;
+
+export const DRAG_THRESHOLD = 4;  // px
+const SMOOTH_LAMBDA = 10;         // 1/s, smooth spaces
+const VELOCITY_LAMBDA = 20;       // 1/s, velocity low-pass
+const VELOCITY_DECAY = 8;         // 1/s, velocity falls back to 0 once events stop
+const IDLE_MS = 50;
+
+const vec = (x = 0, y = 0): Vec2 => ({ x, y });
+const spaces = (): Spaces => ({ px: vec(), screen: vec(), ndc: vec(-1, -1), gl: vec() });
+
+function project(out: Spaces, x: number, y: number, w: number, h: number) {
+  out.px.x = x; out.px.y = y;
+  out.screen.x = x / w; out.screen.y = y / h;
+  out.ndc.x = (x / w) * 2 - 1; out.ndc.y = -((y / h) * 2 - 1);
+  out.gl.x = x - w / 2; out.gl.y = -(y - h / 2);
+}
+
+export class PointerTracker {
+  readonly pointers = new Map<number, TrackedPointer>();
+  readonly spaces: PointerSpaces = { ...spaces(), v: vec(), smooth: spaces(), down: false };
+  private listeners: Record<PointerPhase, Set<PointerListener>> = {
+    down: new Set(), move: new Set(), drag: new Set(), up: new Set(),
+  };
+  private lastMove = 0;
+  private unsubFrame: (() => void) | null = null;
+  private attached = 0;
+
+  on = (phase: PointerPhase, cb: PointerListener) => {
+    this.listeners[phase].add(cb);
+    return () => { this.listeners[phase].delete(cb); };
+  };
+
+  /** Start listening on window; reference counted, returns detach. */
+  attach = () => {
+    if (typeof window === "undefined") return () => {};
+    if (this.attached++ === 0) {
+      window.addEventListener("pointerdown", this.onDown, { passive: true });
+      window.addEventListener("pointermove", this.onMove, { passive: true });
+      window.addEventListener("pointerup", this.onUp, { passive: true });
+      window.addEventListener("pointercancel", this.onUp, { passive: true });
+      window.addEventListener("blur", this.onBlur);
+    }
+    return () => {
+      if (--this.attached > 0) return;
+      window.removeEventListener("pointerdown", this.onDown);
+      window.removeEventListener("pointermove", this.onMove);
+      window.removeEventListener("pointerup", this.onUp);
+      window.removeEventListener("pointercancel", this.onUp);
+      window.removeEventListener("blur", this.onBlur);
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+    };
+  };
+
+  private emit(phase: PointerPhase, p: TrackedPointer, e: PointerEvent) {
+    for (const cb of this.listeners[phase]) {
+      try { cb(p, e); } catch { /* one listener failing must not starve the rest */ }
+    }
+  }
+
+  private get(e: PointerEvent) {
+    let p = this.pointers.get(e.pointerId);
+    if (!p) {
+      const at = vec(e.clientX, e.clientY);
+      p = {
+        id: e.pointerId, type: e.pointerType, primary: e.isPrimary, down: false, dragging: false,
+        start: { ...at }, prev: { ...at }, current: at, v: vec(), t: e.timeStamp,
+      };
+      this.pointers.set(e.pointerId, p);
+    }
+    return p;
+  }
+
+  private update(p: TrackedPointer, e: PointerEvent) {
+    const dt = Math.max(1, e.timeStamp - p.t) / 1000;
+    p.prev.x = p.current.x; p.prev.y = p.current.y;
+    p.current.x = e.clientX; p.current.y = e.clientY;
+    p.v.x = damp(p.v.x, (p.current.x - p.prev.x) / dt, VELOCITY_LAMBDA, dt);
+    p.v.y = damp(p.v.y, (p.current.y - p.prev.y) / dt, VELOCITY_LAMBDA, dt);
+    p.t = e.timeStamp;
+    if (!p.primary) return;
+    project(this.spaces, p.current.x, p.current.y, window.innerWidth, window.innerHeight);
+    this.spaces.v.x = p.v.x; this.spaces.v.y = p.v.y;
+    this.lastMove = performance.now();
+    this.wake();
+  }
+
+  private onDown = (e: PointerEvent) => {
+    const p = this.get(e);
+    p.primary = e.isPrimary;
+    p.down = true;
+    p.dragging = false;
+    p.start.x = e.clientX; p.start.y = e.clientY;
+    this.update(p, e);
+    if (p.primary) this.spaces.down = true;
+    this.emit("down", p, e);
+  };
+
+  private onMove = (e: PointerEvent) => {
+    const p = this.get(e);
+    this.update(p, e);
+    this.emit("move", p, e);
+    if (!p.down) return;
+    if (!p.dragging && Math.hypot(p.current.x - p.start.x, p.current.y - p.start.y) >= DRAG_THRESHOLD) p.dragging = true;
+    if (p.dragging) this.emit("drag", p, e);
+  };
+
+  private onUp = (e: PointerEvent) => {
+    const p = this.pointers.get(e.pointerId);
+    if (!p) return;
+    p.down = false;
+    if (p.primary) this.spaces.down = false;
+    this.emit("up", p, e);
+    p.dragging = false;
+    // Touches and pens are gone once lifted; the mouse keeps hovering.
+    if (e.pointerType !== "mouse") this.pointers.delete(e.pointerId);
+  };
+
+  private onBlur = () => {
+    for (const p of this.pointers.values()) { p.down = false; p.dragging = false; }
+    this.spaces.down = false;
+  };
+
+  // Smoothing only holds the frame loop while there is something to settle.
+  private wake() {
+    if (!this.unsubFrame) this.unsubFrame = frameLoop.add(this.tick, FRAME_PRIORITY.INPUT, { label: "pointer" });
+  }
+
+  private tick = (_t: number, { dt }: FrameInfo) => {
+    const s = this.spaces;
+    const x = damp(s.smooth.px.x, s.px.x, SMOOTH_LAMBDA, dt);
+    const y = damp(s.smooth.px.y, s.px.y, SMOOTH_LAMBDA, dt);
+    project(s.smooth, x, y, window.innerWidth, window.innerHeight);
+    if (performance.now() - this.lastMove > IDLE_MS) {
+      s.v.x = damp(s.v.x, 0, VELOCITY_DECAY, dt);
+      s.v.y = damp(s.v.y, 0, VELOCITY_DECAY, dt);
+      for (const p of this.pointers.values()) {
+        p.v.x = damp(p.v.x, 0, VELOCITY_DECAY, dt);
+        p.v.y = damp(p.v.y, 0, VELOCITY_DECAY, dt);
+      }
+    }
+    const settled = Math.abs(s.px.x - x) < 0.1 && Math.abs(s.px.y - y) < 0.1
+      && Math.abs(s.v.x) < 1 && Math.abs(s.v.y) < 1;
+    if (settled) {
+      project(s.smooth, s.px.x, s.px.y, window.innerWidth, window.innerHeight);
+      s.v.x = s.v.y = 0;
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+    }
+  };
+}
+
+export const pointerTracker = new PointerTracker();
+
+export type ElementPointer = {
+  size: Vec2;    // the element's box, pixels
+  px: Vec2;      // pixels from the element's top-left
+  center: Vec2;  // pixels from the element's center
+  uv: Vec2;      // [0..1] across the element, y down
+  ndc: Vec2;     // [-1..1] across the element, y up
+  inside: boolean;
+};
+
+export const createElementPointer = (): ElementPointer => ({
+  size: vec(), px: vec(), center: vec(), uv: vec(), ndc: vec(), inside: false,
+});
+
+/** Project a client-space point into `el`'s box. */
+export function measureElementPointer(out: ElementPointer, el: Element, x: number, y: number) {
+  const r = el.getBoundingClientRect();
+  const w = r.width || 1, h = r.height || 1;
+  out.size.x = r.width; out.size.y = r.height;
+  out.px.x = x - r.left; out.px.y = y - r.top;
+  out.center.x = out.px.x - w / 2; out.center.y = out.px.y - h / 2;
+  out.uv.x = out.px.x / w; out.uv.y = out.px.y / h;
+  out.ndc.x = out.uv.x * 2 - 1; out.ndc.y = -(out.uv.y * 2 - 1);
+  out.inside = out.uv.x >= 0 && out.uv.x <= 1 && out.uv.y >= 0 && out.uv.y <= 1;
+  return out;
+}
@@ -0,0 +1,205 @@
+// lib/quality.ts
+// Adaptive quality for the WebGL layer. The governor samples how long drawn
+// frames take on the shared frame loop and steps between tiers (DPR cap,
+// geometry segments, shader lighting, antialiasing). It starts from a GPU
+// hint read from the renderer string, steps down quickly when frames run
+// long and back up slowly, and stops trying tiers it keeps falling out of.
+// `?quality=low|medium|high` pins a tier; `?dpr=1.5` caps the DPR.
+import { frameLoop, FRAME_PRIORITY, type FrameInfo } from "@/lib/frameLoop";
+
+export type QualityTier = {
+  name: "low" | "medium" | "high";
+  dpr: number;         // max device pixel ratio
+  segments: number;    // plane subdivisions per side
+  lighting: boolean;   // specular + cast shadow in the peel shader
+  antialias: boolean;  // MSAA; only read when a canvas is created
+};
+
+export const QUALITY_TIERS: readonly QualityTier[] = [
+  { name: "low", dpr: 1, segments: 24, lighting: false, antialias: false },
+  { name: "medium", dpr: 1.5, segments: 40, lighting: true, antialias: false },
+  { name: "high", dpr: 2, segments: 64, lighting: true, antialias: true },
+];
+
+export type QualityOptions = {
+  sampleSize?: number;  // frames per evaluation window
+  downMs?: number;      // average frame time that steps down
+  upMs?: number;        // average frame time that may step up
+  upWindows?: number;   // consecutive fast windows before stepping up
+  maxDrops?: number;    // drops from a tier before it's no longer retried
+};
+
+type QualityListener = (tier: QualityTier) => void;
+
+// Frames further apart than this are a restart after idle, not a slow frame.
+const GAP_MS = 250;
+
+// Renderer strings of GPUs that can't hold the high tier (old Mali/Adreno,
+// PowerVR, software rasterizers, older Intel iGPUs), and of ones that can.
+const LOW_GPU = /mali-(4|t[6-8])|mali-g(31|51|52|57)|adreno \(tm\) [1-5]\d\d|powervr|swiftshader|llvmpipe|software|intel.*hd graphics [2-5]\d{3}/i;
+const HIGH_GPU = /nvidia|geforce|radeon (rx|pro)|apple (m\d|gpu)|adreno \(tm\) [6-7]\d\d/i;
+
+export type WebglProbe = {
+  supported: boolean;
+  webgl2: boolean;
+  renderer: string;                 // unmasked where the browser allows it
+  extensions: ReadonlySet<string>;  // supported, not enabled
+};
+
+let probed: WebglProbe | null = null;
+
+const rendererOf = (gl: WebGLRenderingContext | WebGL2RenderingContext) => {
+  const ext = gl.getExtension("WEBGL_debug_renderer_info");
+  return String(gl.getParameter(ext ? ext.UNMASKED_RENDERER_WEBGL : gl.RENDERER) ?? "");
+};
+
+/**
+ * What the device's WebGL offers, read once from a throwaway context that is
+ * released right away. The tier hint, the WebGL layer's support check and
+ * KTX2 format detection all share it, so startup costs one context, not three.
+ */
+export function probeWebgl(): WebglProbe {
+  if (probed) return probed;
+  const none: WebglProbe = { supported: false, webgl2: false, renderer: "", extensions: new Set() };
+  if (typeof document === "undefined") return none;
+  probed = none;
+  try {
+    const canvas = document.createElement("canvas");
+    const gl2 = canvas.getContext("webgl2");
+    const gl = gl2 || canvas.getContext("webgl");
+    if (gl) {
+      probed = { supported: true, webgl2: !!gl2, renderer: rendererOf(gl), extensions: new Set(gl.getSupportedExtensions() ?? []) };
+      gl.getExtension("WEBGL_lose_context")?.loseContext();
+    }
+  } catch {}
+  return probed;
+}
+
+/**
+ * Tier index suggested by the GPU's renderer string (medium when unknown).
+ * Without a context the shared probe is read, so the hint is known before
+ * the real canvas (and its antialias flag) is.
+ */
+export function gpuTierHint(gl?: WebGLRenderingContext | WebGL2RenderingContext | null) {
+  const probe = gl ? null : probeWebgl();
+  if (probe && !probe.supported) return 0;
+  const renderer = gl ? rendererOf(gl) : probe!.renderer;
+  if (LOW_GPU.test(renderer)) return 0;
+  if (HIGH_GPU.test(renderer)) return 2;
+  return 1;
+}
+
+export class QualityGovernor {
+  index = QUALITY_TIERS.length - 1;
+  tier: QualityTier = QUALITY_TIERS[this.index]; // replaced (not mutated) on change
+  locked = false;     // pinned by an override
+  dprCap = Infinity;
+  private options: Required<QualityOptions> = { sampleSize: 60, downMs: 1000 / 45, upMs: 1000 / 56, upWindows: 4, maxDrops: 2 };
+  private samples: number[] = [];
+  private fastWindows = 0;
+  private drops = new Map<number, number>();
+  private ceiling = QUALITY_TIERS.length - 1;
+  private lastT = -1;
+  private lastFrame = -1;
+  private listeners = new Set<QualityListener>();
+  private unsubFrame: (() => void) | null = null;
+  private attached = 0;
+  private probed = false;
+
+  configure(options: QualityOptions) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  on = (cb: QualityListener) => {
+    this.listeners.add(cb);
+    return () => { this.listeners.delete(cb); };
+  };
+
+  /** Apply ?quality= / ?dpr= overrides (e.g. G.urlParams). */
+  applyParams(params: URLSearchParams) {
+    const i = QUALITY_TIERS.findIndex((t) => t.name === params.get("quality"));
+    const dpr = parseFloat(params.get("dpr") ?? "");
+    const capped = dpr > 0 && dpr !== this.dprCap;
+    if (dpr > 0) this.dprCap = dpr;
+    if (i >= 0) this.locked = true;
+    // set() only emits on a tier change; a new cap alone must still go out.
+    if (i >= 0 && i !== this.index) this.set(i);
+    else if (capped) this.emit();
+    return this;
+  }
+
+  /** Pick the starting tier from the GPU hint (once; skipped when pinned). */
+  probe() {
+    if (this.probed || this.locked || typeof document === "undefined") return this;
+    this.probed = true;
+    const hint = gpuTierHint();
+    this.ceiling = Math.min(QUALITY_TIERS.length - 1, hint + 1); // hints can be pessimistic; allow one step up
+    this.set(hint);
+    return this;
+  }
+
+  /** Start sampling drawn frames; reference counted, returns detach. */
+  attach = () => {
+    if (typeof window === "undefined") return () => {};
+    if (this.attached++ === 0) {
+      this.probe();
+      // On-demand: only frames that actually draw are measured.
+      this.unsubFrame = frameLoop.add(this.sample, FRAME_PRIORITY.POST, { continuous: false, label: "quality" });
+    }
+    return () => {
+      if (--this.attached > 0) return;
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+      this.reset();
+    };
+  };
+
+  set(index: number) {
+    const next = Math.max(0, Math.min(QUALITY_TIERS.length - 1, index));
+    if (next === this.index) return;
+    this.index = next;
+    this.reset();
+    this.emit();
+  }
+
+  private emit() {
+    const t = QUALITY_TIERS[this.index];
+    const tier = (this.tier = this.dprCap < t.dpr ? { ...t, dpr: this.dprCap } : t);
+    for (const cb of this.listeners) {
+      try { cb(tier); } catch { /* swallow listener errors */ }
+    }
+  }
+
+  private reset() {
+    this.samples.length = 0;
+    this.fastWindows = 0;
+    this.lastT = -1;
+  }
+
+  // Frame time is the gap to the previous loop frame, when there was one.
+  private sample = (t: number, info: FrameInfo) => {
+    const consecutive = info.frame === this.lastFrame + 1 && this.lastT >= 0 && t - this.lastT < GAP_MS;
+    if (consecutive) this.samples.push(t - this.lastT);
+    this.lastT = t;
+    this.lastFrame = info.frame;
+    if (this.locked || this.samples.length < this.options.sampleSize) return;
+
+    const { downMs, upMs, upWindows, maxDrops } = this.options;
+    const avg = this.samples.reduce((a, b) => a + b, 0) / this.samples.length;
+    this.samples.length = 0;
+    if (avg > downMs && this.index > 0) {
+      // A tier we keep dropping out of becomes the ceiling.
+      const drops = (this.drops.get(this.index) ?? 0) + 1;
+      this.drops.set(this.index, drops);
+      if (drops >= maxDrops) this.ceiling = Math.min(this.ceiling, this.index - 1);
+      this.set(this.index - 1);
+    } else if (avg < upMs && this.index < this.ceiling) {
+      if (++this.fastWindows >= upWindows) this.set(this.index + 1);
+    } else {
+      this.fastWindows = 0;
+    }
+  };
+}
+
+export const quality = new QualityGovernor();
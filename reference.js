@@ -10,16 +10,19 @@
 //  1) Global Runtime & Events
 //  2) RAF Scheduler
 //  3) DOM Helpers & Component Manager
-//  4) Input / Pointer / Resize Manager
-//  5) Button Component (SVG + GSAP-like timelines)
+//  4) Input / Pointer / Resize Manager (+ gestures: pinch, rotate, swipe, flick, long-press, double-tap, wheel)
+//  5) Button Component (SVG skin, Timeline utility, toggle groups)
 //  6) Loader / Intro (Eyes + Progress)
-//  7) Three.js I/O (stubs for FileLoader, DRACOLoader, GLTFLoader extensions)
+//  7) Three.js I/O (FileLoader + LRU cache, DRACOLoader worker pool, GLTFLoader + GLTFParser)
+//  8) Asset Loader (manifest, byte-weighted progress, retries, critical/lazy)
 //
 // Notes:
 //  - Replace '/* TODO: wire real implementation */' with your real source logic.
 //  - Keep this file nearby as living documentation and a target for future refactors.
 //
 
+import * as THREE from "three";
+
 /* ==========================================================================
  * 1) Global Runtime & Events
  * ========================================================================== */
@@ -61,6 +64,12 @@ export const G = {
   // Subsystems (populated by your app's bootstrap code)
   ASScroll: null,
   AssetLoader: null,
+  Gestures: null,
+  Components: null,
+  Viewport: null,
+  Quality: null,
+  Debug: null,
+  Textures: null,
   TaskScheduler: null,
   Dom2Webgl: null,
   Gl: null,
@@ -77,8 +86,16 @@ export const G = {
     MOUSEDOWN: "GMouseDown",
     MOUSEUP: "GMouseUp",
     RESIZE: "GResize",
+    VIEWPORT: "GViewport",
     TOUCHDETECTED: "TouchDetected",
     WHEEL: "GWheel",
+    SCROLL: "GScroll",
+    PINCH: "GPinch",
+    ROTATE: "GRotate",
+    SWIPE: "GSwipe",
+    FLICK: "GFlick",
+    LONGPRESS: "GLongPress",
+    DOUBLETAP: "GDoubleTap",
   },
 };
 
@@ -108,26 +125,84 @@ export const Emitter = (() => {
  * 2) RAF Scheduler
  * ========================================================================== */
 
+// Longest step a single frame may take (s); longer gaps would make things jump.
+const MAX_DT = 0.1;
+
+/**
+ * Frame-rate independent smoothing: move `a` toward `b` with decay rate
+ * `lambda` (1/s) over `dt` seconds. lerp(a, b, f) at 60fps ~ lambda = -ln(1 - f) * 60.
+ */
+export const damp = (a, b, lambda, dt) => a + (b - a) * (1 - Math.exp(-lambda * dt));
+
+/**
+ * Turns raw timestamps into { t, dt, elapsed, frame }. dt is in seconds,
+ * clamped and scaled by timeScale; the clock restarts its dt after a pause
+ * or while the document is hidden.
+ */
+export class FrameClock {
+  constructor() {
+    this.timeScale = 1;
+    this.paused = false;
+    this.hidden = false;
+    this.last = -1;
+    this.info = { t: 0, dt: 0, elapsed: 0, frame: 0 }; // reused every frame
+    if (typeof document !== "undefined") {
+      document.addEventListener("visibilitychange", () => {
+        this.hidden = document.hidden;
+        this.last = -1;
+      });
+    }
+  }
+  get stopped() { return this.paused || this.hidden; }
+  pause() { this.paused = true; this.last = -1; }
+  resume() { this.paused = false; }
+  tick(t) {
+    const info = this.info;
+    info.dt = this.last < 0 ? 0 : Math.min((t - this.last) / 1000, MAX_DT) * this.timeScale;
+    info.t = t;
+    info.elapsed += info.dt;
+    info.frame++;
+    this.last = t;
+    return info;
+  }
+}
+
 /**
- * Register per-frame callbacks with priority.
- * In the bundle this is a tiny class that relies on a global RAF signal.
+ * Register per-frame callbacks with priority: cb(t, { t, dt, elapsed, frame }).
+ * With G.debug each callback's cost is measured (`subscribers`, in ms).
+ * In the bundle this is a tiny class that relies on a global RAF signal. The
+ * RAF payload is either a timestamp (timed by this collection's clock) or a
+ * frame info from the shared frame loop, which then owns pause/timeScale.
  */
 export class RAFCollection {
   constructor() {
-    this.callbacks = []; // { index, cb }
+    this.callbacks = []; // { index, cb, label, ms }
+    this.clock = new FrameClock();
     this._onRAF = this._onRAF.bind(this);
     Emitter.on(G.events.RAF, this._onRAF);
   }
-  add(cb, index = 0) {
-    this.callbacks.push({ cb, index });
+  get timeScale() { return this.clock.timeScale; }
+  set timeScale(v) { this.clock.timeScale = v; }
+  pause() { this.clock.pause(); }
+  resume() { this.clock.resume(); }
+  get subscribers() {
+    return this.callbacks.map(({ index, label, ms }) => ({ index, label, ms }));
+  }
+  add(cb, index = 0, label = cb.name || "anonymous") {
+    this.callbacks.push({ cb, index, label, ms: 0 });
     this.callbacks.sort((a, b) => (a.index > b.index ? 1 : -1));
   }
   remove(cb) {
     this.callbacks = this.callbacks.filter(item => item.cb !== cb);
   }
-  _onRAF(t) {
+  _onRAF(payload) {
+    if (this.clock.stopped) return;
+    const info = typeof payload === "number" ? this.clock.tick(payload) : payload;
     for (let i = 0; i < this.callbacks.length; i++) {
-      try { this.callbacks[i].cb(t); } catch (e) { /* swallow per-frame errors */ }
+      const entry = this.callbacks[i];
+      const start = G.debug ? performance.now() : 0;
+      try { entry.cb(info.t, info); } catch (e) { /* swallow per-frame errors */ }
+      if (G.debug) entry.ms += (performance.now() - start - entry.ms) * 0.1;
     }
   }
 }
@@ -142,24 +217,107 @@ export const $all = (sel, root = document) => Array.prototype.slice.call(root.qu
 export const $one = (sel, root = document) => root.querySelector(sel);
 
 /**
- * ComponentManager: instantiate a component for each element that matches
- * the component's static selector, and proxy lifecycle calls.
+ * ComponentManager: a registry of component classes, each with a static
+ * `selector`. Every matching element under `parentEl` gets exactly one
+ * instance per class (element -> instances in a WeakMap). With `observe` on,
+ * a MutationObserver mounts components for elements added later and destroys
+ * the ones whose element left the page, so client-side page swaps (e.g.
+ * G.projectToProjectTransition) don't leak listeners; transition code can
+ * also call mount(root) / unmount(root) itself. Instances that define
+ * onResize / onRAF get G.events.RESIZE and the RAF tick.
  */
 export class ComponentManager {
-  constructor(Component, parentEl = document.body) {
+  constructor(Components, parentEl = document.body, { observe = true } = {}) {
+    this.parentEl = parentEl;
+    this.classes = [];
+    this.instances = new WeakMap(); // element -> Map<Component, instance>
+    this._entries = [];             // { el, Component, instance }, in mount order
+    this._onResize = () => this.callAll("onResize");
+    this._onRAF = (t, info) => this.callAll("onRAF", t, info);
+    Emitter.on(G.events.RESIZE, this._onResize);
+    G.RAFCollection.add(this._onRAF, 1, "ComponentManager"); // after input (0)
+    if (observe && typeof MutationObserver !== "undefined") {
+      this._observer = new MutationObserver((records) => this._onMutations(records));
+      this._observer.observe(parentEl, { childList: true, subtree: true });
+    }
+    for (const Component of [].concat(Components || [])) this.register(Component);
+  }
+
+  get components() { return this._entries.map(e => e.instance); }
+
+  register(Component) {
     if (typeof Component.selector === "undefined") {
       throw new Error(`Component "${Component.name}" must define a static 'selector'.`);
     }
-    this.Component = Component;
-    this.parentEl = parentEl;
-    this.components = [];
-    const nodes = $all(Component.selector, parentEl);
-    for (const node of nodes) this.components.push(new Component(node));
+    if (this.classes.includes(Component)) return this;
+    this.classes.push(Component);
+    this.mount(this.parentEl, [Component]);
+    return this;
   }
-  make(el) { this.components.push(new this.Component(el)); }
+
+  /** Instantiate the registered components for `root` and everything inside it. */
+  mount(root = this.parentEl, classes = this.classes) {
+    if (!root?.querySelectorAll) return;
+    for (const Component of classes) {
+      if (root.matches?.(Component.selector)) this.make(root, Component);
+      for (const el of $all(Component.selector, root)) this.make(el, Component);
+    }
+  }
+
+  /** Destroy the instances for `root` and everything inside it. */
+  unmount(root) {
+    const keep = [];
+    for (const e of this._entries) {
+      if (e.el === root || root.contains(e.el)) this._destroy(e);
+      else keep.push(e);
+    }
+    this._entries = keep;
+  }
+
+  /** The instance for `el`, created on first call; never a duplicate. */
+  make(el, Component = this.classes[0]) {
+    let byClass = this.instances.get(el);
+    if (!byClass) this.instances.set(el, (byClass = new Map()));
+    if (byClass.has(Component)) return byClass.get(Component);
+    const instance = new Component(el);
+    byClass.set(Component, instance);
+    this._entries.push({ el, Component, instance });
+    return instance;
+  }
+
+  get(el, Component = this.classes[0]) { return this.instances.get(el)?.get(Component); }
   forEach(fn) { this.components.forEach(fn); }
-  callAll(method, ...args) { this.components.forEach(c => c?.[method]?.(...args)); }
-  destroy() { this.callAll("destroy"); this.components = []; }
+  callAll(method, ...args) {
+    for (const { instance } of this._entries) {
+      try { instance?.[method]?.(...args); } catch (e) { /* swallow per-component errors */ }
+    }
+  }
+
+  destroy() {
+    this._observer?.disconnect();
+    Emitter.off(G.events.RESIZE, this._onResize);
+    G.RAFCollection.remove(this._onRAF);
+    for (const e of this._entries) this._destroy(e);
+    this._entries = [];
+  }
+
+  // Removals first: a node moved within the page is reported as removed and
+  // added in the same batch, and keeps its instance.
+  _onMutations(records) {
+    for (const r of records) {
+      for (const node of r.removedNodes) if (node.nodeType === 1 && !this.parentEl.contains(node)) this.unmount(node);
+    }
+    for (const r of records) {
+      for (const node of r.addedNodes) if (node.nodeType === 1 && this.parentEl.contains(node)) this.mount(node);
+    }
+  }
+
+  _destroy({ el, Component, instance }) {
+    try { instance.destroy?.(); } catch (e) { /* a failing destroy still unregisters */ }
+    const byClass = this.instances.get(el);
+    byClass?.delete(Component);
+    if (byClass && !byClass.size) this.instances.delete(el);
+  }
 }
 
 
@@ -167,45 +325,75 @@ export class ComponentManager {
  * 4) Input / Pointer / Resize Manager
  * ========================================================================== */
 
+/**
+ * Pointer Events for every pointer (mouse, pen, each touch). Emits
+ * MOUSEDOWN / MOUSEMOVE / MOUSEDRAG / MOUSEUP with the pointer's start,
+ * previous and current positions; the primary pointer also drives G.mouse,
+ * its damped G.mouse.smooth spaces and a filtered G.mouse.velocity (px/s).
+ * Given the viewport store, G.window follows it and RESIZE fires only
+ * when the size actually changed; otherwise it reads the raw window size.
+ */
 export class InputManager {
-  constructor() {
-    this.dragging = false;
+  static DRAG_THRESHOLD = 4;   // px before a press becomes a drag
+  static SMOOTH_LAMBDA = 10;   // 1/s
+  static VELOCITY_LAMBDA = 20; // 1/s
+
+  constructor({ viewport = null } = {}) {
+    this.viewport = viewport;
+    this.pointers = new Map(); // pointerId -> { id, type, primary, down, dragging, start, prev, current, v, t }
+    this.dragging = false;     // primary pointer
     this.mousePos = { x: 0, y: 0 };
     this.prevMousePos = { x: 0, y: 0 };
     this.origMousePos = { x: 0, y: 0 };
+    G.mouse.pointers = this.pointers;
+    G.mouse.down = false;
+    G.mouse.velocity = { x: 0, y: 0 };
+    G.mouse.smooth.x = 0;
+    G.mouse.smooth.y = 0;
+    G.mouse.smooth.gl = { set(x, y) { this.x = x; this.y = y; } };
+    G.mouse.smooth.glScreenSpace = { set(x, y) { this.x = x; this.y = y; } };
 
     // Detect touch & update body class
     if (typeof document !== "undefined" && "ontouchstart" in document.documentElement) {
       G.isTouch = true;
       document.body?.classList?.add("is-touch");
-      this._detectMouseLater(); // flip back to mouse if movement detected
     }
 
-    // Bind events
-    if (G.isTouch) this._addTouchEvents();
-    else this._addMouseEvents();
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onRAF = this._onRAF.bind(this);
+    window.addEventListener("pointerdown", this._onPointerDown, { passive: true });
+    window.addEventListener("pointermove", this._onPointerMove, { passive: true });
+    window.addEventListener("pointerup", this._onPointerUp, { passive: true });
+    window.addEventListener("pointercancel", this._onPointerUp, { passive: true });
+    window.addEventListener("dragend", this._onPointerUp);
+    window.addEventListener("contextmenu", this._onPointerUp);
+    G.RAFCollection.add(this._onRAF, 0, "InputManager"); // smooth spaces before anything reads them
 
-    this._onResize(); // initial CSS vars
     // In the bundle GSAP's ticker drives RAF; we simulate an external RAF producer.
     // Hook your render loop to call: Emitter.emit(G.events.RAF, performance.now())
-    window?.addEventListener?.("resize", this._onResize.bind(this));
+    this._onResize = this._onResize.bind(this);
+    if (viewport) {
+      // The viewport store measures (visualViewport height, --vh) and throttles
+      viewport.on(this._onViewport.bind(this));
+      this._onViewport(viewport.state, null);
+    } else {
+      this._onResize(); // initial CSS vars
+      window?.addEventListener?.("resize", this._onResize);
+    }
   }
 
-  _addMouseEvents() {
-    window.addEventListener("mousemove", this._onPointerMove.bind(this), { passive: true });
-    window.addEventListener("mousedown", this._onPointerDown.bind(this));
-    window.addEventListener("mouseup", this._onPointerUp.bind(this));
-    window.addEventListener("dragend", this._onPointerUp.bind(this));
-    window.addEventListener("contextmenu", this._onPointerUp.bind(this));
-  }
-  _addTouchEvents() {
-    window.addEventListener("touchmove", this._onPointerMove.bind(this), { passive: true });
-    window.addEventListener("touchstart", this._onPointerDown.bind(this));
-    window.addEventListener("touchend", this._onPointerUp.bind(this));
+  _onViewport(state, changed) {
+    const w = G.window;
+    w.w = state.w; w.h = state.h; w.fullHeight = state.fullHeight; w.dpr = state.dpr;
+    Emitter.emit(G.events.VIEWPORT, { state, changed });
+    const resized = !changed || ["w", "h", "fullHeight", "dpr"].some((k) => changed.has(k));
+    if (resized) Emitter.emit(G.events.RESIZE);
   }
 
+  // Without a viewport store: raw window size and mobile-friendly vh units
   _onResize() {
-    // Maintain mobile-friendly vh units
     if (typeof document !== "undefined") {
       document.documentElement.style.setProperty("--screen-height", `${window.innerHeight}px`);
       G.window.w = window.innerWidth;
@@ -215,77 +403,392 @@ export class InputManager {
     Emitter.emit(G.events.RESIZE);
   }
 
-  _onPointerMove(e) {
-    const x = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-    const y = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
+  _track(e) {
+    let p = this.pointers.get(e.pointerId);
+    if (!p) {
+      const at = { x: e.clientX, y: e.clientY };
+      p = {
+        id: e.pointerId, type: e.pointerType, primary: e.isPrimary, down: false, dragging: false,
+        start: { ...at }, prev: { ...at }, current: at, v: { x: 0, y: 0 }, t: e.timeStamp,
+      };
+      this.pointers.set(e.pointerId, p);
+    }
+    const dt = Math.max(1, e.timeStamp - p.t) / 1000;
+    p.prev = p.current;
+    p.current = { x: e.clientX, y: e.clientY };
+    p.v.x = damp(p.v.x, (p.current.x - p.prev.x) / dt, InputManager.VELOCITY_LAMBDA, dt);
+    p.v.y = damp(p.v.y, (p.current.y - p.prev.y) / dt, InputManager.VELOCITY_LAMBDA, dt);
+    p.t = e.timeStamp;
+    if (p.primary) this._setMouse(p.current.x, p.current.y, p.v);
+    return p;
+  }
 
+  _setMouse(x, y, v) {
+    this.prevMousePos = this.mousePos;
     this.mousePos = { x, y };
     G.mouse.x = x; G.mouse.y = y;
-
+    G.mouse.velocity.x = v.x; G.mouse.velocity.y = v.y;
+    this._lastMove = performance.now();
     // Update multiple coordinate spaces used by GL & UI layers
     G.mouse.gl.set(x - G.window.w / 2, -(y - G.window.h / 2));
     G.mouse.glNormalized.set((x / G.window.w) * 2 - 1, -(y / G.window.h) * 2 + 1);
     G.mouse.glScreenSpace.set(x / G.window.w, 1 - y / G.window.h);
+  }
 
-    Emitter.emit(G.events.MOUSEMOVE, { mousePos: this.mousePos, event: e });
+  _payload(p, e) {
+    return {
+      pointer: p, event: e, mousePos: p.current,
+      ox: p.start.x, px: p.prev.x, x: p.current.x,
+      oy: p.start.y, py: p.prev.y, y: p.current.y,
+    };
+  }
 
-    if (this.dragging) {
-      Emitter.emit(G.events.MOUSEDRAG, {
-        ox: this.origMousePos.x, px: this.prevMousePos.x, x: this.mousePos.x,
-        oy: this.origMousePos.y, py: this.prevMousePos.y, y: this.mousePos.y,
-        event: e,
-      });
-      this.prevMousePos = { ...this.mousePos };
+  _onPointerDown(e) {
+    this._detectPointerType(e);
+    const p = this._track(e);
+    p.down = true;
+    p.dragging = false;
+    p.start = { ...p.current };
+    if (p.primary) {
+      this.origMousePos = p.start;
+      this.dragging = true;
+      G.mouse.down = true;
     }
+    Emitter.emit(G.events.MOUSEDOWN, this._payload(p, e));
   }
 
-  _onPointerDown(e) {
-    const x = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-    const y = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
-    this.mousePos = this.origMousePos = this.prevMousePos = { x, y };
+  _onPointerMove(e) {
+    this._detectPointerType(e);
+    const p = this._track(e);
+    Emitter.emit(G.events.MOUSEMOVE, this._payload(p, e));
+    if (!p.down) return;
+    if (!p.dragging) {
+      p.dragging = Math.hypot(p.current.x - p.start.x, p.current.y - p.start.y) >= InputManager.DRAG_THRESHOLD;
+    }
+    if (p.dragging) Emitter.emit(G.events.MOUSEDRAG, this._payload(p, e));
+  }
 
-    G.mouse.x = x; G.mouse.y = y;
-    G.mouse.gl.set(x - G.window.w / 2, -(y - G.window.h / 2));
-    G.mouse.glNormalized.set((x / G.window.w) * 2 - 1, -(y / G.window.h) * 2 + 1);
-    G.mouse.glScreenSpace.set(x / G.window.w, 1 - y / G.window.h);
+  _onPointerUp(e) {
+    // dragend/contextmenu aren't pointer events: release the primary pointer
+    const p = e.pointerId !== undefined ? this.pointers.get(e.pointerId)
+      : [...this.pointers.values()].find(q => q.primary);
+    if (p) {
+      p.down = false;
+      if (p.primary) { this.dragging = false; G.mouse.down = false; }
+      Emitter.emit(G.events.MOUSEUP, this._payload(p, e));
+      p.dragging = false;
+      if (p.type !== "mouse") this.pointers.delete(p.id); // lifted touches/pens are gone
+    } else {
+      Emitter.emit(G.events.MOUSEUP, { event: e });
+    }
+  }
 
-    Emitter.emit(G.events.MOUSEDOWN, { mousePos: this.mousePos, event: e });
-    this.dragging = true;
+  _onRAF(t, { dt }) {
+    const s = G.mouse.smooth;
+    s.x = damp(s.x, G.mouse.x, InputManager.SMOOTH_LAMBDA, dt);
+    s.y = damp(s.y, G.mouse.y, InputManager.SMOOTH_LAMBDA, dt);
+    s.gl.set(s.x - G.window.w / 2, -(s.y - G.window.h / 2));
+    s.glNormalized.set((s.x / G.window.w) * 2 - 1, -(s.y / G.window.h) * 2 + 1);
+    s.glScreenSpace.set(s.x / G.window.w, 1 - s.y / G.window.h);
+    // No events once the pointer rests: let the velocity settle to 0.
+    if (t - (this._lastMove || 0) > 50) {
+      G.mouse.velocity.x = damp(G.mouse.velocity.x, 0, 8, dt);
+      G.mouse.velocity.y = damp(G.mouse.velocity.y, 0, 8, dt);
+    }
   }
 
-  _onPointerUp(e) {
-    Emitter.emit(G.events.MOUSEUP, { event: e });
-    this.dragging = false;
+  _detectPointerType(e) {
+    // Flip the touch flag (and body class) to match the pointer actually in use.
+    const touch = e.pointerType === "touch";
+    if (touch === G.isTouch || (e.pointerType === "mouse" && !e.movementX && !e.movementY && e.type === "pointermove")) return;
+    G.isTouch = touch;
+    document.body?.classList?.toggle("is-touch", touch);
+    Emitter.emit(touch ? G.events.TOUCHDETECTED : "TouchMouse"); // mirrors bundle's TOUCHMOUSE event
+  }
+}
+
+
+/**
+ * Turns InputManager's raw pointer events into gestures:
+ *  - PINCH  { phase: "start"|"move"|"end", scale, delta, center }  two pointers (or ctrl+wheel, opt-in)
+ *  - ROTATE { phase, rotation, delta, center }                      radians, two pointers
+ *  - SWIPE  { direction, dx, dy, duration }                          quick single-pointer stroke
+ *  - FLICK  { direction, vx, vy, speed }                             release velocity, px/s
+ *  - LONGPRESS { x, y, pointer } and DOUBLETAP { x, y, pointer }
+ * and emits WHEEL { dx, dy, pinch, event } with deltas normalized to pixels.
+ * Browser zoom is left alone by default. With `wheelPinch`, ctrl+wheel runs
+ * start/move/end like a touch pinch (ending after `wheelPinchIdle` ms without
+ * events) instead of zooming the page; `touchAction` (e.g. "pan-x pan-y") is
+ * set on <html> so touch pinches reach PINCH instead of native zoom. Both turn
+ * off user zoom site-wide: only enable them on pages that need the gesture.
+ */
+export class GestureManager {
+  static options = {
+    swipeDistance: 50,   // px
+    swipeTime: 400,      // ms
+    flickVelocity: 600,  // px/s
+    flickIdle: 100,      // ms without movement before release that cancels a flick
+    longPressTime: 500,  // ms
+    tapTime: 250,        // ms
+    doubleTapTime: 300,  // ms between taps
+    doubleTapSlop: 30,   // px between taps
+    wheelPinch: false,   // ctrl+wheel (trackpad pinch) emits PINCH instead of zooming
+    wheelPinchIdle: 150, // ms without ctrl+wheel events that ends a wheel pinch
+    touchAction: null,   // set on <html> while attached, e.g. "pan-x pan-y"
+  };
+
+  constructor(options = {}) {
+    this.options = { ...GestureManager.options, ...options };
+    this.pair = null;          // { a, b, dist, angle, scale, rotation } while two pointers are down
+    this.multi = false;        // current press became a multi-pointer gesture
+    this.longPressTimer = 0;
+    this.lastTap = null;       // { x, y, t }
+    this.downAt = 0;
+    this.wheel = null;         // { scale, center, timer } while a ctrl+wheel pinch runs
+
+    this._onDown = this._onDown.bind(this);
+    this._onMove = this._onMove.bind(this);
+    this._onUp = this._onUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    Emitter.on(G.events.MOUSEDOWN, this._onDown);
+    Emitter.on(G.events.MOUSEMOVE, this._onMove);
+    Emitter.on(G.events.MOUSEUP, this._onUp);
+    // Only a wheel pinch needs to cancel the browser's zoom.
+    window.addEventListener("wheel", this._onWheel, { passive: !this.options.wheelPinch });
+    const html = G.html;
+    if (html && this.options.touchAction) {
+      this.prevTouchAction = html.style.touchAction;
+      html.style.touchAction = this.options.touchAction;
+    }
+  }
+
+  destroy() {
+    Emitter.off(G.events.MOUSEDOWN, this._onDown);
+    Emitter.off(G.events.MOUSEMOVE, this._onMove);
+    Emitter.off(G.events.MOUSEUP, this._onUp);
+    window.removeEventListener("wheel", this._onWheel);
+    clearTimeout(this.longPressTimer);
+    if (this.wheel) this._endWheelPinch();
+    if (G.html && this.options.touchAction) G.html.style.touchAction = this.prevTouchAction;
+  }
+
+  _down() {
+    return [...G.mouse.pointers.values()].filter(p => p.down);
+  }
+
+  _measure(a, b) {
+    const dx = b.current.x - a.current.x, dy = b.current.y - a.current.y;
+    return {
+      dist: Math.hypot(dx, dy) || 1,
+      angle: Math.atan2(dy, dx),
+      center: { x: (a.current.x + b.current.x) / 2, y: (a.current.y + b.current.y) / 2 },
+    };
+  }
+
+  _onDown({ pointer }) {
+    if (!pointer) return;
+    const down = this._down();
+    clearTimeout(this.longPressTimer);
+    if (down.length === 1) {
+      this.multi = false;
+      this.downAt = performance.now();
+      this.longPressTimer = setTimeout(() => {
+        if (pointer.down && !pointer.dragging && !this.multi) {
+          Emitter.emit(G.events.LONGPRESS, { x: pointer.current.x, y: pointer.current.y, pointer });
+        }
+      }, this.options.longPressTime);
+    } else if (down.length === 2 && !this.pair) {
+      this.multi = true;
+      const [a, b] = down;
+      const m = this._measure(a, b);
+      this.pair = { a, b, dist: m.dist, angle: m.angle, scale: 1, rotation: 0 };
+      Emitter.emit(G.events.PINCH, { phase: "start", scale: 1, delta: 1, center: m.center });
+      Emitter.emit(G.events.ROTATE, { phase: "start", rotation: 0, delta: 0, center: m.center });
+    }
+  }
+
+  _onMove({ pointer }) {
+    if (pointer?.dragging) clearTimeout(this.longPressTimer);
+    const pair = this.pair;
+    if (!pair || (pointer !== pair.a && pointer !== pair.b)) return;
+    const m = this._measure(pair.a, pair.b);
+    const scale = m.dist / pair.dist;
+    // Unwrap so a turn past ±PI keeps accumulating instead of jumping.
+    let rotation = m.angle - pair.angle;
+    rotation += Math.round((pair.rotation - rotation) / (2 * Math.PI)) * 2 * Math.PI;
+    Emitter.emit(G.events.PINCH, { phase: "move", scale, delta: scale / pair.scale, center: m.center });
+    Emitter.emit(G.events.ROTATE, { phase: "move", rotation, delta: rotation - pair.rotation, center: m.center });
+    pair.scale = scale;
+    pair.rotation = rotation;
   }
 
-  _detectMouseLater() {
-    // If a real mouse moves, flip the isTouch flag off and remove the class.
-    window.addEventListener("mousemove", (ev) => {
-      if (Math.abs(ev.movementX) > 0 || Math.abs(ev.movementY) > 0) {
-        G.isTouch = false;
-        document.body?.classList?.remove("is-touch");
-        Emitter.emit("TouchMouse"); // mirrors bundle's TOUCHMOUSE event
+  _onUp({ pointer, event }) {
+    clearTimeout(this.longPressTimer);
+    if (!pointer) return;
+    const pair = this.pair;
+    if (pair && (pointer === pair.a || pointer === pair.b)) {
+      const { center } = this._measure(pair.a, pair.b);
+      Emitter.emit(G.events.PINCH, { phase: "end", scale: pair.scale, delta: 1, center });
+      Emitter.emit(G.events.ROTATE, { phase: "end", rotation: pair.rotation, delta: 0, center });
+      this.pair = null;
+      return;
+    }
+    // Single-pointer gestures only when the whole press used one pointer.
+    if (this.multi || this._down().length) return;
+
+    const o = this.options;
+    const now = performance.now();
+    const duration = now - this.downAt;
+    const dx = pointer.current.x - pointer.start.x;
+    const dy = pointer.current.y - pointer.start.y;
+    const direction = (x, y) => (Math.abs(x) > Math.abs(y) ? (x > 0 ? "right" : "left") : (y > 0 ? "down" : "up"));
+
+    if (Math.hypot(dx, dy) >= o.swipeDistance && duration <= o.swipeTime) {
+      Emitter.emit(G.events.SWIPE, { direction: direction(dx, dy), dx, dy, duration });
+    }
+    // Nothing decays a pointer's velocity between events: a drag that paused
+    // before the release still holds its last speed.
+    if ((event?.timeStamp ?? now) - pointer.t > o.flickIdle) pointer.v.x = pointer.v.y = 0;
+    const { x: vx, y: vy } = pointer.v;
+    const speed = Math.hypot(vx, vy);
+    if (pointer.dragging && speed >= o.flickVelocity) {
+      Emitter.emit(G.events.FLICK, { direction: direction(vx, vy), vx, vy, speed });
+    }
+
+    if (!pointer.dragging && duration <= o.tapTime) {
+      const { x, y } = pointer.current;
+      const last = this.lastTap;
+      if (last && now - last.t <= o.doubleTapTime && Math.hypot(x - last.x, y - last.y) <= o.doubleTapSlop) {
+        Emitter.emit(G.events.DOUBLETAP, { x, y, pointer });
+        this.lastTap = null;
+      } else {
+        this.lastTap = { x, y, t: now };
       }
-    });
+    }
+  }
+
+  _onWheel(e) {
+    // deltaMode: 0 pixels, 1 lines, 2 pages
+    const k = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? G.window.h : 1;
+    const dx = e.deltaX * k, dy = e.deltaY * k;
+    const pinch = e.ctrlKey; // trackpad pinch arrives as ctrl+wheel
+    Emitter.emit(G.events.WHEEL, { dx, dy, pinch, event: e });
+    if (!pinch || !this.options.wheelPinch) return;
+    e.preventDefault(); // the browser would zoom the page
+    const center = { x: e.clientX, y: e.clientY };
+    if (!this.wheel) {
+      this.wheel = { scale: 1, center, timer: 0 };
+      Emitter.emit(G.events.PINCH, { phase: "start", scale: 1, delta: 1, center });
+    }
+    const w = this.wheel;
+    const delta = Math.exp(-dy / 100);
+    w.scale *= delta;
+    w.center = center;
+    Emitter.emit(G.events.PINCH, { phase: "move", scale: w.scale, delta, center });
+    clearTimeout(w.timer);
+    w.timer = setTimeout(() => this._endWheelPinch(), this.options.wheelPinchIdle);
+  }
+
+  _endWheelPinch() {
+    const { scale, center, timer } = this.wheel;
+    clearTimeout(timer);
+    this.wheel = null;
+    Emitter.emit(G.events.PINCH, { phase: "end", scale, delta: 1, center });
   }
 }
 
 
 /* ==========================================================================
- * 5) Button Component (SVG + animations)
+ * 5) Button Component (SVG skin, Timeline utility, toggle groups)
  * ========================================================================== */
 
+export const EASE = {
+  linear: (t) => t,
+  outExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  inOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
 /**
- * This is an approximate, dependency-free representation.
- * In the bundle, SVGs are created via a helper and animations use GSAP.
+ * Minimal stand-in for the bundle's GSAP timelines: tweens are update
+ * callbacks placed on a time axis (seconds), played forward or reversed from
+ * wherever the playhead is, on the RAFCollection clock.
+ *
+ *   new Timeline().add((p) => el.style.opacity = p, { duration: 0.3 }).play();
+ */
+export class Timeline {
+  constructor() {
+    this.tweens = [];   // { update, at, duration, ease }
+    this.duration = 0;
+    this.time = 0;
+    this.direction = 0; // 1 playing, -1 reversing, 0 stopped
+    this._tick = this._tick.bind(this);
+  }
+  add(update, { at = 0, duration = 0.4, ease = EASE.outExpo } = {}) {
+    this.tweens.push({ update, at, duration, ease });
+    this.duration = Math.max(this.duration, at + duration);
+    this._render();
+    return this;
+  }
+  play() { return this._run(1); }
+  reverse() { return this._run(-1); }
+  progress(p) {
+    this.time = clamp01(p) * this.duration;
+    this._render();
+    return this;
+  }
+  kill() {
+    this.direction = 0;
+    G.RAFCollection.remove(this._tick);
+  }
+  _run(direction) {
+    if (!this.direction) G.RAFCollection.add(this._tick, 2, "Timeline");
+    this.direction = direction;
+    return this;
+  }
+  _tick(t, { dt }) {
+    this.time = Math.min(this.duration, Math.max(0, this.time + dt * this.direction));
+    this._render();
+    if ((this.direction > 0 && this.time >= this.duration) || (this.direction < 0 && this.time <= 0)) this.kill();
+  }
+  _render() {
+    for (const tw of this.tweens) {
+      tw.update(tw.ease(clamp01(tw.duration ? (this.time - tw.at) / tw.duration : 1)));
+    }
+  }
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const svgEl = (tag, attrs = {}) => {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const k in attrs) node.setAttribute(k, attrs[k]);
+  return node;
+};
+let buttonUid = 0;
+
+/**
+ * Builds the bundle's button skin around existing `.js-btn` markup:
+ *  - an SVG border and a fill layer masked by a sliding rect. data-btn="border"
+ *    fills up on hover; data-btn="fill" empties on hover while its border is
+ *    drawn in (stroke-dashoffset);
+ *  - a clone of `.js-btn-content` that slides in as the original slides out.
+ * Buttons sharing a data-togglecontent value form a toggle group: clicking
+ * one selects it (aria-pressed, .is-selected, fill held) and deselects the
+ * rest. A `data-selected-label` replaces the clone's text while selected.
  */
 export class Button {
   static get selector() { return ".js-btn:not(.js-manager-ignore)"; }
+  static groups = new Map(); // togglecontent value -> Set<Button>
 
   constructor(el) {
     this.el = el;
+    this.uid = ++buttonUid;
     this.buttonType = el?.dataset?.btn || "border";     // "border" | "fill"
     this.togglecontent = el?.dataset?.togglecontent || "none"; // enables selectable
+    this.selectable = this.togglecontent !== "none";
+    this.selected = false;
+    this.hovered = false;
 
     this.dom = {
       el,
@@ -304,21 +807,96 @@ export class Button {
     // Build SVG shell & content clones; wire interactions
     this._build();
     this._addEvents();
+
+    if (this.selectable) {
+      if (!Button.groups.has(this.togglecontent)) Button.groups.set(this.togglecontent, new Set());
+      Button.groups.get(this.togglecontent).add(this);
+      this.el.setAttribute("aria-pressed", "false");
+    }
   }
 
   _build() {
-    // In the bundle:
-    // - create SVG canvas & rects
-    // - build masked fill/border layers
-    // - clone .js-btn-content to create a "cloned" layer for transitions
-    // - setup GSAP timelines for hover/border-reveal/selectable states
-    // TODO: wire your real implementation
+    const { width, height, strokeWidth } = this.svgSettings;
+    const inner = this.dom.inner;
+    this.innerStyle = { position: inner.style.position, overflow: inner.style.overflow }; // restored by destroy
+    if (getComputedStyle(inner).position === "static") inner.style.position = "relative";
+    inner.style.overflow = "hidden";
+
+    // SVG canvas: border rect plus (for "fill") a masked fill rect
+    const svg = svgEl("svg", { width, height, "aria-hidden": "true", focusable: "false" });
+    Object.assign(svg.style, { position: "absolute", inset: "0", pointerEvents: "none", overflow: "visible" });
+    const maskId = `btn-mask-${this.uid}`;
+    const defs = svgEl("defs");
+    const mask = svgEl("mask", { id: maskId, maskUnits: "userSpaceOnUse" });
+    const maskSlide = svgEl("rect", { fill: "white" });
+    mask.appendChild(maskSlide);
+    defs.appendChild(mask);
+    const fill = svgEl("rect", { fill: "currentColor", mask: `url(#${maskId})` });
+    const border = svgEl("rect", { fill: "none", stroke: "currentColor", "stroke-width": strokeWidth, pathLength: "1" });
+    svg.append(defs, fill, border);
+    inner.insertBefore(svg, inner.firstChild);
+    this.svg = { root: svg, maskSlide, fill, border };
+
+    // Cloned content layer for the slide/replace transition
+    if (this.dom.content) {
+      const clone = this.dom.content.cloneNode(true);
+      clone.classList.add("is-clone");
+      clone.setAttribute("aria-hidden", "true");
+      Object.assign(clone.style, { position: "absolute", left: "0", right: "0", top: "0", bottom: "0" });
+      this.dom.content.insertAdjacentElement("afterend", clone);
+      this.dom.clone = clone;
+      this.cloneHTML = clone.innerHTML;
+    }
+
+    this._layout();
+    this._ro = typeof ResizeObserver !== "undefined" ? new ResizeObserver(() => this._layout()) : null;
+    this._ro?.observe(this.el);
+
+    // Hover: content slides up and is replaced by its clone. "border" buttons
+    // fill from the bottom; "fill" buttons drop their fill and draw the border in.
+    const { content, clone } = this.dom;
+    const isFill = this.buttonType === "fill";
+    this.hoverTl = new Timeline().add((p) => {
+      if (content) content.style.transform = `translate3d(0, ${-110 * p}%, 0)`;
+      if (clone) clone.style.transform = `translate3d(0, ${110 * (1 - p)}%, 0)`;
+    }, { duration: 0.5 });
+    border.setAttribute("stroke-dasharray", "1");
+    border.setAttribute("stroke-dashoffset", "0");
+    if (isFill) {
+      this.hoverTl.add((p) => border.setAttribute("stroke-dashoffset", String(1 - p)), { duration: 0.6, ease: EASE.inOutCubic });
+    }
+    // Fill is its own timeline so a selected button can hold it
+    this.fillTl = new Timeline().add((p) => {
+      maskSlide.setAttribute("y", String(this.btnHeight * (isFill ? p : 1 - p)));
+    }, { duration: 0.45 });
+  }
+
+  // Sizes the SVG in pixels (viewBox = box) so strokes and radii don't stretch.
+  _layout() {
+    this.btnWidth = this.el.clientWidth;
+    this.btnHeight = this.el.clientHeight;
+    if (!this.svg) return;
+    const { root, maskSlide, fill, border } = this.svg;
+    const w = this.btnWidth, h = this.btnHeight;
+    const sw = this.svgSettings.strokeWidth;
+    const fontSize = parseFloat(getComputedStyle(this.el).fontSize) || 16;
+    const toPx = (v) => (String(v).endsWith("em") ? parseFloat(v) * fontSize : parseFloat(v));
+    const rx = Math.min(toPx(this.svgSettings.rx), w / 2), ry = Math.min(toPx(this.svgSettings.ry), h / 2);
+    root.setAttribute("viewBox", `0 0 ${w} ${h}`);
+    for (const [r, inset] of [[fill, 0], [border, sw / 2]]) {
+      r.setAttribute("x", inset); r.setAttribute("y", inset);
+      r.setAttribute("width", Math.max(0, w - inset * 2)); r.setAttribute("height", Math.max(0, h - inset * 2));
+      r.setAttribute("rx", rx); r.setAttribute("ry", ry);
+    }
+    maskSlide.setAttribute("width", w);
+    maskSlide.setAttribute("height", h);
+    this.fillTl?._render();
   }
 
   _addEvents() {
-    this._mouseEnter = this._mouseEnter?.bind?.(this) || (() => {});
-    this._mouseLeave = this._mouseLeave?.bind?.(this) || (() => {});
-    this._onClick     = this._onClick?.bind?.(this) || ((e) => e?.preventDefault?.());
+    this._mouseEnter = this._mouseEnter.bind(this);
+    this._mouseLeave = this._mouseLeave.bind(this);
+    this._onClick = this._onClick.bind(this);
 
     this.el.addEventListener("mouseenter", this._mouseEnter);
     this.el.addEventListener("mouseleave", this._mouseLeave);
@@ -331,22 +909,57 @@ export class Button {
 
   _mouseEnter() {
     // Play hover timeline; optionally play audio hover SFX via G.Audio
-    // TODO: connect to your animation lib
+    this.hovered = true;
+    this.hoverTl.play();
+    this.fillTl.play();
     if (G.Audio?.play) G.Audio.play({ key: "audio.hover" });
   }
   _mouseLeave() {
-    // Reverse hover timeline
+    // Reverse hover timeline (a selected button keeps its fill)
+    this.hovered = false;
+    this.hoverTl.reverse();
+    if (!this.selected) this.fillTl.reverse();
   }
   _onClick(e) {
+    if (!this.selectable) return;
     e.preventDefault();
-    // If part of a content toggle group, set active & swap content
-    // TODO: implement selectable behavior
+    // Part of a content toggle group: select this one, deselect siblings
+    this.select(true);
+  }
+
+  select(selected = true) {
+    if (!this.selectable || selected === this.selected) return;
+    this.selected = selected;
+    this.el.classList.toggle("is-selected", selected);
+    this.el.setAttribute("aria-pressed", String(selected));
+    const label = this.el.dataset.selectedLabel;
+    if (label && this.dom.clone) {
+      if (selected) this.dom.clone.textContent = label;
+      else this.dom.clone.innerHTML = this.cloneHTML;
+    }
+    if (selected) {
+      this.fillTl.play();
+      for (const b of Button.groups.get(this.togglecontent) || []) if (b !== this) b.select(false);
+      Emitter.emit("Button:select", { group: this.togglecontent, button: this, el: this.el });
+    } else if (!this.hovered) {
+      this.fillTl.reverse();
+    }
   }
 
   destroy() {
     this.el.removeEventListener("mouseenter", this._mouseEnter);
     this.el.removeEventListener("mouseleave", this._mouseLeave);
     this.el.removeEventListener("click", this._onClick);
+    this._ro?.disconnect();
+    this.hoverTl?.kill();
+    this.fillTl?.kill();
+    this.svg?.root.remove();
+    this.dom.clone?.remove();
+    if (this.dom.content) this.dom.content.style.transform = "";
+    if (this.innerStyle) Object.assign(this.dom.inner.style, this.innerStyle);
+    const group = Button.groups.get(this.togglecontent);
+    group?.delete(this);
+    if (group && !group.size) Button.groups.delete(this.togglecontent);
   }
 }
 
@@ -400,7 +1013,7 @@ export class IntroLoader {
     this.enterNoAudioButton?.addEventListener?.("click", this.onEnterNoAudioButtonClick.bind(this));
 
     // Per-frame update
-    G.RAFCollection.add(this.onRAF.bind(this), 3);
+    G.RAFCollection.add(this.onRAF.bind(this), 3, "IntroLoader");
     Emitter.on(G.events.MOUSEMOVE, () => this.onPointerMove());
     Emitter.on(G.events.RESIZE, () => this.onResize());
   }
@@ -433,10 +1046,14 @@ export class IntroLoader {
   }
 
   hide(delay = 0) {
-    // Fade out eyes + loader; reset transforms
+    // Fade out eyes + loader once warm-up tasks (shader compiles, texture
+    // uploads) are done, so the first revealed frames don't hitch
     this.hidden = true;
-    if (this.eyes.el) this.eyes.el.style.opacity = 0;
-    if (this.dom.loader) this.dom.loader.style.opacity = 0;
+    const warm = G.TaskScheduler ? G.TaskScheduler.whenStage("warmup") : Promise.resolve();
+    warm.then(() => {
+      if (this.eyes.el) this.eyes.el.style.opacity = 0;
+      if (this.dom.loader) this.dom.loader.style.opacity = 0;
+    });
   }
 
   openEyes() {
@@ -477,14 +1094,14 @@ export class IntroLoader {
     this.mouse.y = (G.mouse.y - this.btnCenterY) / G.window.h * 2;
   }
 
-  onRAF() {
-    // Smooth lerp to the target position and apply CSS transforms to eyes
-    const lerp = (a, b, t) => a + (b - a) * t;
+  onRAF(t, { dt }) {
+    // Damp toward the target position (same feel as lerp 0.1 at 60fps, at any
+    // refresh rate) and apply CSS transforms to eyes
     const e = Math.min(this.mouse.y || 0, 3);
-    this.current.x = lerp(this.current.x, this.mouse.x, 0.1);
-    this.current.y = lerp(this.current.y, e, 0.1);
+    this.current.x = damp(this.current.x, this.mouse.x, 6.3, dt);
+    this.current.y = damp(this.current.y, e, 6.3, dt);
     const dist = Math.hypot(this.mouse.x, this.mouse.y);
-    this.currentDist = lerp(this.currentDist, dist, 0.09);
+    this.currentDist = damp(this.currentDist, dist, 5.7, dt);
 
     const dx = (this.current.x || 0) * (this.maxMovementX || 0);
     const dy = (this.current.y || 0) * (this.maxMovementY || 0);
@@ -498,97 +1115,1554 @@ export class IntroLoader {
 
 
 /* ==========================================================================
- * 7) Three.js I/O (stubs)
+ * 7) Three.js I/O
  * ========================================================================== */
 
 /**
- * FileLoader: add request headers, credentials, responseType, and basic cache.
- * In your real code, use THREE.FileLoader directly; this is a conceptual stub.
+ * FileCache: LRU cache bounded by total bytes and entry count. Entries are
+ * keyed per response type, so `evict(url)` drops every variant of a URL.
+ */
+export class FileCache {
+  constructor({ maxBytes = 64 * 1024 * 1024, maxEntries = 256 } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.bytes = 0;
+    this.entries = new Map(); // key -> { url, data, bytes }, oldest first
+  }
+  has(key) { return this.entries.has(key); }
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    this.entries.set(key, entry); // mark as most recently used
+    return entry.data;
+  }
+  set(key, data, bytes = 0, url = key) {
+    if (bytes > this.maxBytes) return;
+    this.delete(key);
+    this.entries.set(key, { url, data, bytes });
+    this.bytes += bytes;
+    while ((this.bytes > this.maxBytes || this.entries.size > this.maxEntries) && this.entries.size) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.bytes -= entry.bytes;
+    return this.entries.delete(key);
+  }
+  evict(url) {
+    for (const [key, entry] of this.entries) if (entry.url === url) this.delete(key);
+  }
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+const abortError = () => new DOMException("The load was aborted.", "AbortError");
+
+/**
+ * FileLoader: fetch wrapper with request headers, credentials, responseType
+ * ("arraybuffer" | "text" | "json" | "blob" | "document") and mimeType
+ * override (as XHR's overrideMimeType: blob type, text charset, document type).
+ *
+ * - Concurrent loads of the same URL + responseType + request options
+ *   (headers, credentials) share one fetch.
+ * - Every caller gets its own copy of mutable results (ArrayBuffer, parsed
+ *   JSON, Document), so one that transfers or edits it (a worker, a parser)
+ *   can't corrupt the cache or other callers. Text and Blobs are immutable and
+ *   shared.
+ * - onLoad is always called asynchronously, cache hit or not.
+ * - onProgress receives { loaded, total, lengthComputable } per streamed chunk.
+ * - `load(url, onLoad, onProgress, onError, { signal })` accepts an AbortSignal;
+ *   the shared fetch is only cancelled once every caller has aborted.
+ * - Results go to `FileLoader.cache` (shared LRU) unless `setCache(null)`.
  */
 export class FileLoader {
+  static cache = new FileCache();
+  static inflight = new Map(); // key -> { controller, listeners }
+
   constructor() {
     this.responseType = "arraybuffer";
     this.requestHeader = {};
     this.withCredentials = false;
-    this._cache = new Map();
+    this.cache = FileLoader.cache;
   }
   setResponseType(rt) { this.responseType = rt; return this; }
   setMimeType(mt) { this.mimeType = mt; return this; }
   setRequestHeader(h) { this.requestHeader = h || {}; return this; }
   setWithCredentials(v) { this.withCredentials = !!v; return this; }
-  load(url, onLoad, onProgress, onError) {
-    if (this._cache.has(url)) {
-      onLoad?.(this._cache.get(url));
+  setCache(cache) { this.cache = cache; return this; }
+  evict(url) { this.cache?.evict(url); return this; }
+
+  load(url, onLoad, onProgress, onError, { signal } = {}) {
+    // Settings are captured now; the loader may be reconfigured before the response.
+    const responseType = this.responseType;
+    const mimeType = this.mimeType || "";
+    const credentials = this.withCredentials ? "include" : "same-origin";
+    const headers = JSON.stringify(Object.entries(this.requestHeader).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    const key = `${responseType}|${mimeType}|${credentials}|${headers}|${url}`;
+
+    const cached = this.cache?.get(key);
+    if (cached !== undefined) {
+      Promise.resolve().then(() => {
+        if (signal?.aborted) onError?.(abortError());
+        else onLoad?.(copyBody(cached, responseType));
+      });
+      return;
+    }
+    if (signal?.aborted) {
+      onError?.(abortError());
       return;
     }
+
+    let request = FileLoader.inflight.get(key);
+    if (!request) {
+      request = this._request(url, key, responseType, mimeType);
+      FileLoader.inflight.set(key, request);
+    }
+    const listener = { onLoad, onProgress, onError, cleanup: null };
+    request.listeners.add(listener);
+
+    if (signal) {
+      const onAbort = () => {
+        if (!request.listeners.delete(listener)) return;
+        onError?.(abortError());
+        if (!request.listeners.size) {
+          if (FileLoader.inflight.get(key) === request) FileLoader.inflight.delete(key);
+          request.controller.abort();
+        }
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      listener.cleanup = () => signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  loadAsync(url, onProgress, options) {
+    return new Promise((resolve, reject) => this.load(url, resolve, onProgress, reject, options));
+  }
+
+  _request(url, key, responseType, mimeType) {
+    const request = { controller: new AbortController(), listeners: new Set() };
+    const settle = (fn) => {
+      if (FileLoader.inflight.get(key) === request) FileLoader.inflight.delete(key);
+      const listeners = [...request.listeners];
+      request.listeners.clear();
+      for (const l of listeners) { l.cleanup?.(); fn(l); }
+    };
+
     fetch(url, {
       method: "GET",
       headers: this.requestHeader,
       credentials: this.withCredentials ? "include" : "same-origin",
+      signal: request.controller.signal,
     }).then(async (res) => {
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      let data = await (this.responseType === "arraybuffer" ? res.arrayBuffer() : res.text());
-      this._cache.set(url, data);
-      onLoad?.(data);
-    }).catch((err) => onError?.(err));
+      if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status, url });
+      // Content-Length is the encoded size, so it can't be compared with decoded bytes.
+      const total = res.headers.get("Content-Encoding") ? 0 : Number(res.headers.get("Content-Length")) || 0;
+      const buffer = await readBody(res, (loaded) => {
+        const ev = { loaded, total, lengthComputable: total > 0 };
+        for (const l of request.listeners) l.onProgress?.(ev);
+      });
+      const data = decodeBody(buffer, responseType, mimeType || res.headers.get("Content-Type") || "");
+      this.cache?.set(key, data, buffer.byteLength, url);
+      settle(l => l.onLoad?.(copyBody(data, responseType)));
+    }).catch((err) => settle(l => l.onError?.(err)));
+
+    return request;
+  }
+}
+
+async function readBody(res, onChunk) {
+  if (!res.body?.getReader) {
+    const buffer = await res.arrayBuffer();
+    onChunk(buffer.byteLength);
+    return buffer;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onChunk(loaded);
+  }
+  const out = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) { out.set(chunk, offset); offset += chunk.byteLength; }
+  return out.buffer;
+}
+
+// A caller's own copy of a (possibly cached) result; text and Blobs can be shared.
+function copyBody(data, responseType) {
+  switch (responseType) {
+    case "arraybuffer": return data.slice(0);
+    case "json": return typeof structuredClone === "function" ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+    case "document": return data.cloneNode(true);
+    default: return data;
+  }
+}
+
+function decodeBody(buffer, responseType, mimeType) {
+  const [type, ...params] = mimeType.split(";").map(s => s.trim());
+  switch (responseType) {
+    case "arraybuffer":
+      return buffer;
+    case "blob":
+      return new Blob([buffer], { type: mimeType });
+    default: {
+      const charset = params.find(p => p.toLowerCase().startsWith("charset="))?.slice(8).replace(/"/g, "");
+      const text = new TextDecoder(charset || "utf-8").decode(buffer);
+      if (responseType === "json") return JSON.parse(text);
+      if (responseType === "document") return new DOMParser().parseFromString(text, type || "text/html");
+      return text;
+    }
   }
 }
 
 /**
- * DRACOLoader: in the bundle this sets up a worker pool, decodes to BufferGeometry,
- * and supports attribute remapping. This stub is here only to document the API.
+ * DRACOLoader: decodes Draco-compressed meshes into BufferGeometry on a pool
+ * of Web Workers (at most `workerLimit`). The decoder is loaded once from
+ * `decoderPath`: draco_wasm_wrapper.js + draco_decoder.wasm, or
+ * draco_decoder.js when WebAssembly is unavailable or
+ * `decoderConfig.type === "js"`. New tasks go to the worker with the lowest
+ * pending cost (compressed byte length).
  */
+const DRACO_DEFAULT_ATTRIBUTE_IDS = { position: "POSITION", normal: "NORMAL", color: "COLOR", uv: "TEX_COORD" };
+const DRACO_DEFAULT_ATTRIBUTE_TYPES = { position: "Float32Array", normal: "Float32Array", color: "Float32Array", uv: "Float32Array" };
+
 export class DRACOLoader {
   constructor() {
     this.decoderPath = "";
     this.decoderConfig = {};
     this.workerLimit = 4;
+
+    this.workerPool = [];
+    this.workerNextTaskID = 1;
+    this.workerSourceURL = "";
+    this.decoderPending = null;
+    this._taskCache = new WeakMap(); // ArrayBuffer -> { key, promise }
   }
   setDecoderPath(p) { this.decoderPath = p; return this; }
   setDecoderConfig(cfg) { this.decoderConfig = cfg; return this; }
   setWorkerLimit(n) { this.workerLimit = n; return this; }
-  preload() { /* load decoder files in real impl */ return this; }
-  decodeDracoFile(arrayBuffer, onDecode /*, attrIDs, attrTypes */) {
-    // TODO: plug your real Draco pipeline
-    onDecode?.({ /* geometry */ });
+  preload() { this._initDecoder(); return this; }
+
+  load(url, onLoad, onProgress, onError) {
+    new FileLoader().setResponseType("arraybuffer").load(
+      url,
+      (buf) => this.decodeGeometry(buf).then(onLoad).catch(onError),
+      onProgress,
+      onError
+    );
+  }
+
+  /**
+   * Callback form kept for bundle compatibility; see decodeGeometry. Failures
+   * go to `onError`, or reject the returned promise when there is none.
+   */
+  decodeDracoFile(arrayBuffer, onDecode, attributeIDs, attributeTypes, onError) {
+    const taskConfig = {
+      attributeIDs: attributeIDs || DRACO_DEFAULT_ATTRIBUTE_IDS,
+      attributeTypes: attributeTypes || DRACO_DEFAULT_ATTRIBUTE_TYPES,
+      useUniqueIDs: !!attributeIDs,
+    };
+    const decoded = this.decodeGeometry(arrayBuffer, taskConfig).then(onDecode);
+    return onError ? decoded.catch(onError) : decoded;
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer compressed Draco data
+   * @param {{ attributeIDs, attributeTypes, useUniqueIDs }} taskConfig
+   *   attributeIDs maps three attribute names to Draco unique IDs (glTF) or
+   *   Draco attribute enums ("POSITION", ...); attributeTypes maps them to
+   *   typed array constructor names.
+   */
+  decodeGeometry(buffer, taskConfig = {
+    attributeIDs: DRACO_DEFAULT_ATTRIBUTE_IDS,
+    attributeTypes: DRACO_DEFAULT_ATTRIBUTE_TYPES,
+    useUniqueIDs: false,
+  }) {
+    // The same buffer decoded twice with the same config reuses the task;
+    // a different config would fail because the buffer is transferred.
+    const key = JSON.stringify(taskConfig);
+    const cached = this._taskCache.get(buffer);
+    if (cached) {
+      if (cached.key === key) return cached.promise;
+      return Promise.reject(new Error("DRACOLoader: cannot decode the same buffer with different attribute settings."));
+    }
+
+    const taskID = this.workerNextTaskID++;
+    const taskCost = buffer.byteLength;
+    let worker;
+    const promise = this._getWorker(taskID, taskCost)
+      .then((w) => {
+        worker = w;
+        return new Promise((resolve, reject) => {
+          worker._callbacks[taskID] = { resolve, reject };
+          worker.postMessage({ type: "decode", id: taskID, taskConfig, buffer }, [buffer]);
+        });
+      })
+      .then((message) => this._createGeometry(message.geometry))
+      .finally(() => {
+        if (worker && taskID) this._releaseTask(worker, taskID);
+      });
+
+    this._taskCache.set(buffer, { key, promise });
+    return promise;
+  }
+
+  _createGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+    if (data.index) geometry.setIndex(new THREE.BufferAttribute(data.index.array, 1));
+    for (const attr of data.attributes) {
+      geometry.setAttribute(attr.name, new THREE.BufferAttribute(attr.array, attr.itemSize));
+    }
+    return geometry;
+  }
+
+  _loadLibrary(file, responseType) {
+    return new Promise((resolve, reject) => {
+      new FileLoader().setResponseType(responseType).load(this.decoderPath + file, resolve, undefined, reject);
+    });
+  }
+
+  _initDecoder() {
+    if (this.decoderPending) return this.decoderPending;
+    const useJS = typeof WebAssembly !== "object" || this.decoderConfig.type === "js";
+    const libraries = useJS
+      ? [this._loadLibrary("draco_decoder.js", "text")]
+      : [this._loadLibrary("draco_wasm_wrapper.js", "text"), this._loadLibrary("draco_decoder.wasm", "arraybuffer")];
+
+    // A failed download rejects the waiting decodes and is retried by the next one.
+    this.decoderPending = Promise.all(libraries).catch((error) => {
+      this.decoderPending = null;
+      throw error;
+    }).then(([jsContent, wasmBinary]) => {
+      if (!useJS) this.decoderConfig.wasmBinary = wasmBinary;
+      const fn = DRACOWorker.toString();
+      const body = [
+        "/* draco decoder */",
+        jsContent,
+        "/* worker */",
+        fn.substring(fn.indexOf("{") + 1, fn.lastIndexOf("}")),
+      ].join("\n");
+      this.workerSourceURL = URL.createObjectURL(new Blob([body]));
+    });
+    return this.decoderPending;
+  }
+
+  _getWorker(taskID, taskCost) {
+    return this._initDecoder().then(() => {
+      if (this.workerPool.length < this.workerLimit) {
+        const worker = new Worker(this.workerSourceURL);
+        worker._callbacks = {};
+        worker._taskCosts = {};
+        worker._taskLoad = 0;
+        worker.postMessage({ type: "init", decoderConfig: this.decoderConfig });
+        worker.onmessage = (e) => {
+          const message = e.data;
+          const callback = worker._callbacks[message.id];
+          if (!callback) return;
+          if (message.type === "decode") callback.resolve(message);
+          else if (message.type === "error") callback.reject(new Error(message.error));
+          else callback.reject(new Error(`DRACOLoader: unexpected message "${message.type}".`));
+        };
+        // A worker that fails to load or crashes settles its pending tasks
+        // and leaves the pool; the next task starts a fresh one.
+        worker.onerror = (e) => {
+          e.preventDefault?.();
+          const error = new Error(`DRACOLoader: worker failed${e.message ? `: ${e.message}` : "."}`);
+          for (const callback of Object.values(worker._callbacks)) callback.reject(error);
+          worker._callbacks = {};
+          this.workerPool = this.workerPool.filter((w) => w !== worker);
+          worker.terminate();
+        };
+        this.workerPool.push(worker);
+      } else {
+        this.workerPool.sort((a, b) => b._taskLoad - a._taskLoad);
+      }
+      const worker = this.workerPool[this.workerPool.length - 1];
+      worker._taskCosts[taskID] = taskCost;
+      worker._taskLoad += taskCost;
+      return worker;
+    });
+  }
+
+  _releaseTask(worker, taskID) {
+    worker._taskLoad -= worker._taskCosts[taskID];
+    delete worker._callbacks[taskID];
+    delete worker._taskCosts[taskID];
+  }
+
+  dispose() {
+    for (const worker of this.workerPool) worker.terminate();
+    this.workerPool.length = 0;
+    if (this.workerSourceURL) URL.revokeObjectURL(this.workerSourceURL);
+    this.workerSourceURL = "";
+    this.decoderPending = null;
+    return this;
+  }
+}
+
+/* Worker body: stringified and concatenated after the Draco decoder source. */
+function DRACOWorker() {
+  let decoderConfig;
+  let decoderPending;
+
+  onmessage = function (e) {
+    const message = e.data;
+    switch (message.type) {
+      case "init":
+        decoderConfig = message.decoderConfig;
+        decoderPending = new Promise(function (resolve, reject) {
+          decoderConfig.onModuleLoaded = function (draco) { resolve({ draco }); };
+          decoderConfig.onAbort = function (reason) { reject(new Error("Draco decoder failed to initialize: " + reason)); };
+          try {
+            DracoDecoderModule(decoderConfig);
+          } catch (error) {
+            reject(error);
+          }
+        });
+        break;
+
+      case "decode":
+        decoderPending.then(function (module) {
+          const draco = module.draco;
+          const decoder = new draco.Decoder();
+          try {
+            const geometry = decodeGeometry(draco, decoder, new Int8Array(message.buffer), message.taskConfig);
+            const buffers = geometry.attributes.map(function (attr) { return attr.array.buffer; });
+            if (geometry.index) buffers.push(geometry.index.array.buffer);
+            self.postMessage({ type: "decode", id: message.id, geometry }, buffers);
+          } catch (error) {
+            self.postMessage({ type: "error", id: message.id, error: error.message });
+          } finally {
+            draco.destroy(decoder);
+          }
+        }, function (error) {
+          self.postMessage({ type: "error", id: message.id, error: error.message });
+        });
+        break;
+    }
+  };
+
+  function decodeGeometry(draco, decoder, array, taskConfig) {
+    const attributeIDs = taskConfig.attributeIDs;
+    const attributeTypes = taskConfig.attributeTypes;
+    let dracoGeometry;
+    let status;
+
+    const geometryType = decoder.GetEncodedGeometryType(array);
+    if (geometryType === draco.TRIANGULAR_MESH) {
+      dracoGeometry = new draco.Mesh();
+      status = decoder.DecodeArrayToMesh(array, array.byteLength, dracoGeometry);
+    } else if (geometryType === draco.POINT_CLOUD) {
+      dracoGeometry = new draco.PointCloud();
+      status = decoder.DecodeArrayToPointCloud(array, array.byteLength, dracoGeometry);
+    } else {
+      throw new Error("DRACOLoader: unexpected geometry type.");
+    }
+    if (!status.ok() || dracoGeometry.ptr === 0) {
+      throw new Error("DRACOLoader: decoding failed: " + status.error_msg());
+    }
+
+    const geometry = { index: null, attributes: [] };
+    for (const name in attributeIDs) {
+      const Type = self[attributeTypes[name]];
+      let attribute;
+      if (taskConfig.useUniqueIDs) {
+        attribute = decoder.GetAttributeByUniqueId(dracoGeometry, attributeIDs[name]);
+      } else {
+        const id = decoder.GetAttributeId(dracoGeometry, draco[attributeIDs[name]]);
+        if (id === -1) continue;
+        attribute = decoder.GetAttribute(dracoGeometry, id);
+      }
+      geometry.attributes.push(decodeAttribute(draco, decoder, dracoGeometry, name, Type, attribute));
+    }
+    if (geometryType === draco.TRIANGULAR_MESH) geometry.index = decodeIndex(draco, decoder, dracoGeometry);
+
+    draco.destroy(dracoGeometry);
+    return geometry;
+  }
+
+  function decodeIndex(draco, decoder, dracoGeometry) {
+    const numIndices = dracoGeometry.num_faces() * 3;
+    const byteLength = numIndices * 4;
+    const ptr = draco._malloc(byteLength);
+    decoder.GetTrianglesUInt32Array(dracoGeometry, byteLength, ptr);
+    const index = new Uint32Array(draco.HEAPF32.buffer, ptr, numIndices).slice();
+    draco._free(ptr);
+    return { array: index, itemSize: 1 };
+  }
+
+  function decodeAttribute(draco, decoder, dracoGeometry, name, Type, attribute) {
+    const itemSize = attribute.num_components();
+    const numValues = dracoGeometry.num_points() * itemSize;
+    const byteLength = numValues * Type.BYTES_PER_ELEMENT;
+    const ptr = draco._malloc(byteLength);
+    decoder.GetAttributeDataArrayForAllPoints(dracoGeometry, attribute, dracoDataType(draco, Type), byteLength, ptr);
+    const array = new Type(draco.HEAPF32.buffer, ptr, numValues).slice();
+    draco._free(ptr);
+    return { name, array, itemSize };
+  }
+
+  function dracoDataType(draco, Type) {
+    switch (Type) {
+      case Float32Array: return draco.DT_FLOAT32;
+      case Int8Array: return draco.DT_INT8;
+      case Int16Array: return draco.DT_INT16;
+      case Int32Array: return draco.DT_INT32;
+      case Uint8Array: return draco.DT_UINT8;
+      case Uint16Array: return draco.DT_UINT16;
+      case Uint32Array: return draco.DT_UINT32;
+    }
   }
 }
 
 /**
- * GLTFLoader: registers many extensions (KHR/EXT). In this scaffold we only
- * define the surface and where you'd inject KTX2/Draco/Meshopt decoders.
+ * GLTFLoader: loads .gltf (JSON, with data-URI or external buffers) and .glb
+ * (binary container) files into three.js objects.
+ *
+ * Extensions plug in through `register(pluginFactory)`. As in three's loader,
+ * each factory is called once per parse with the GLTFParser, and the returned
+ * plugin may implement any of these hooks (first non-null result wins for the
+ * `load*`/`get*` hooks; `beforeRoot`/`afterRoot`/`extend*` run on every plugin):
+ *
+ *  - name                              extension name, e.g. "KHR_texture_basisu"
+ *  - beforeRoot()                      before any dependency is loaded
+ *  - afterRoot(result)                 with the final { scene, scenes, ... }
+ *  - loadBufferView(index)             -> Promise<ArrayBuffer> (e.g. meshopt)
+ *  - loadTexture(index)                -> Promise<THREE.Texture> (e.g. KTX2, WebP)
+ *  - loadGeometry(primitiveDef)        -> Promise<THREE.BufferGeometry> (e.g. Draco)
+ *  - getMaterialType(index)            -> material class to construct
+ *  - extendMaterialParams(index, params) -> Promise, mutates params
+ *  - createNodeAttachment(index)       -> Promise<THREE.Object3D> (e.g. lights)
+ *
+ * `parse()` takes a .gltf string or JSON object, or .gltf/.glb bytes (an
+ * ArrayBuffer, or a view such as Node's Buffer). A texture whose image fails
+ * to load is left out and reported as "GLTFLoader:error" { texture, path,
+ * error } on the Emitter; the rest of the model still loads. Errors from
+ * plugins or from `onLoad` itself reach `onError`. CUBICSPLINE animation
+ * samplers keep their tangents and play back as cubic splines.
+ *
+ * KHR_draco_mesh_compression is built in once `setDRACOLoader()` is called,
+ * KHR_texture_basisu once `setKTX2Loader()` is (anything with KTX2Loader's
+ * `parse(buffer, onLoad, onError)`, e.g. the texture service's adapter).
  */
 export class GLTFLoader {
   constructor() {
     this.dracoLoader = null;
     this.ktx2Loader = null;
     this.meshoptDecoder = null;
-    this._plugins = [];
+    this._plugins = []; // plugin factories, instantiated per parse
   }
   setDRACOLoader(l) { this.dracoLoader = l; return this; }
   setKTX2Loader(l) { this.ktx2Loader = l; return this; }
   setMeshoptDecoder(m) { this.meshoptDecoder = m; return this; }
   register(pluginFactory) {
-    const plug = pluginFactory(this);
-    this._plugins.push(plug);
+    if (!this._plugins.includes(pluginFactory)) this._plugins.push(pluginFactory);
+    return this;
+  }
+  unregister(pluginFactory) {
+    this._plugins = this._plugins.filter(p => p !== pluginFactory);
     return this;
   }
   load(url, onLoad, onProgress, onError) {
-    // In the real bundle, a FileLoader fetch + parse pipeline is used
+    const path = url.slice(0, url.lastIndexOf("/") + 1);
     new FileLoader().setResponseType("arraybuffer").load(
       url,
-      (buf) => {
-        try {
-          // TODO: parse buffer into a glTF scene; call onLoad(scene)
-          onLoad?.({ /* scene, scenes, animations, cameras, asset */ });
-        } catch (e) {
-          onError?.(e);
-        }
-      },
+      (buf) => this.parse(buf, path, onLoad, onError),
       onProgress,
       onError
     );
   }
+  loadAsync(url, onProgress) {
+    return new Promise((resolve, reject) => this.load(url, resolve, onProgress, reject));
+  }
+
+  /**
+   * Parse a .glb ArrayBuffer, a .gltf ArrayBuffer/string, or an already-parsed
+   * glTF JSON object. `path` is the base for external buffer/image URIs.
+   */
+  parse(data, path, onLoad, onError) {
+    let json, binChunk = null, parser;
+    try {
+      // Node's Buffer and other views: parse just the bytes they cover.
+      if (ArrayBuffer.isView(data)) data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      if (typeof data === "string") {
+        json = JSON.parse(data);
+      } else if (data instanceof ArrayBuffer) {
+        const magic = new DataView(data, 0, Math.min(4, data.byteLength));
+        if (data.byteLength >= 12 && magic.getUint32(0, true) === GLB_MAGIC) {
+          ({ json, binChunk } = readGLB(data));
+        } else {
+          json = JSON.parse(new TextDecoder().decode(data));
+        }
+      } else {
+        json = data;
+      }
+      if (!json.asset || Number(json.asset.version) < 2) {
+        throw new Error("GLTFLoader: only glTF 2.0 assets are supported.");
+      }
+      parser = new GLTFParser(json, { path: path || "", binChunk, loader: this });
+      const factories = [...this._builtinPlugins(), ...this._plugins];
+      parser.setPlugins(factories.map(factory => factory(parser)).filter(Boolean));
+    } catch (e) {
+      onError?.(e);
+      return;
+    }
+    parser.parse().then(onLoad).catch((e) => onError?.(e));
+  }
+  parseAsync(data, path) {
+    return new Promise((resolve, reject) => this.parse(data, path, resolve, reject));
+  }
+  _builtinPlugins() {
+    const plugins = [];
+    if (this.dracoLoader) plugins.push(parser => new GLTFDracoMeshCompression(parser));
+    if (this.ktx2Loader) plugins.push(parser => new GLTFTextureBasisU(parser));
+    return plugins;
+  }
+}
+
+const GLB_MAGIC = 0x46546c67;          // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a;     // "JSON"
+const GLB_CHUNK_BIN = 0x004e4942;      // "BIN\0"
+
+function readGLB(data) {
+  const view = new DataView(data);
+  const version = view.getUint32(4, true);
+  if (version !== 2) throw new Error(`GLTFLoader: unsupported GLB version ${version}.`);
+  const length = Math.min(view.getUint32(8, true), data.byteLength);
+
+  let json = null, binChunk = null, offset = 12;
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (chunkType === GLB_CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, start, chunkLength)));
+    } else if (chunkType === GLB_CHUNK_BIN) {
+      binChunk = data.slice(start, start + chunkLength);
+    }
+    offset = start + chunkLength; // unknown chunk types are skipped per spec
+  }
+  if (!json) throw new Error("GLTFLoader: GLB has no JSON chunk.");
+  return { json, binChunk };
+}
+
+function decodeDataURI(uri) {
+  const comma = uri.indexOf(",");
+  const meta = uri.slice(5, comma);
+  const body = uri.slice(comma + 1);
+  if (!meta.endsWith(";base64")) return new TextEncoder().encode(decodeURIComponent(body)).buffer;
+  const bin = atob(body);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes.buffer;
+}
+
+function resolveURL(url, path) {
+  if (/^(https?:)?\/\//i.test(url) || /^(data|blob):/i.test(url) || url.startsWith("/")) return url;
+  return path + url;
+}
+
+const GLTF_COMPONENT_TYPES = {
+  5120: Int8Array, 5121: Uint8Array, 5122: Int16Array,
+  5123: Uint16Array, 5125: Uint32Array, 5126: Float32Array,
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const GLTF_ATTRIBUTES = {
+  POSITION: "position", NORMAL: "normal", TANGENT: "tangent",
+  TEXCOORD_0: "uv", TEXCOORD_1: "uv1", TEXCOORD_2: "uv2", TEXCOORD_3: "uv3",
+  COLOR_0: "color", JOINTS_0: "skinIndex", WEIGHTS_0: "skinWeight",
+};
+const GLTF_FILTERS = {
+  9728: THREE.NearestFilter, 9729: THREE.LinearFilter,
+  9984: THREE.NearestMipmapNearestFilter, 9985: THREE.LinearMipmapNearestFilter,
+  9986: THREE.NearestMipmapLinearFilter, 9987: THREE.LinearMipmapLinearFilter,
+};
+const GLTF_WRAPPINGS = {
+  33071: THREE.ClampToEdgeWrapping, 33648: THREE.MirroredRepeatWrapping, 10497: THREE.RepeatWrapping,
+};
+const GLTF_PATHS = { translation: "position", rotation: "quaternion", scale: "scale", weights: "morphTargetInfluences" };
+// Extensions the parser understands without a plugin.
+const GLTF_BUILTIN_EXTENSIONS = ["KHR_mesh_quantization"];
+
+/**
+ * GLTFParser: resolves glTF JSON indices into three.js objects. Every
+ * dependency is loaded once and cached as a Promise keyed by "type:index".
+ */
+export class GLTFParser {
+  constructor(json, { path = "", binChunk = null, loader = null } = {}) {
+    this.json = json;
+    this.path = path;
+    this.binChunk = binChunk;
+    this.loader = loader;
+    this.plugins = [];
+    this.cache = new Map();
+    this.fileLoader = new FileLoader().setResponseType("arraybuffer");
+    this._nodeNames = new Set();
+    this._claimed = new WeakSet();
+    this._textureVariants = new Map();
+    this._materialVariants = new Map();
+  }
+
+  /** Cached objects are handed out once; later users get a clone. */
+  claim(object) {
+    if (!this._claimed.has(object)) {
+      this._claimed.add(object);
+      return object;
+    }
+    return object.clone();
+  }
+
+  setPlugins(plugins) { this.plugins = plugins; }
+
+  _invokeOne(fn) {
+    for (const plugin of this.plugins) {
+      const result = fn(plugin);
+      if (result) return result;
+    }
+    return null;
+  }
+  _invokeAll(fn) {
+    return Promise.all(this.plugins.map(fn).filter(Boolean));
+  }
+
+  async parse() {
+    const json = this.json;
+    for (const ext of json.extensionsRequired || []) {
+      const handled = GLTF_BUILTIN_EXTENSIONS.includes(ext) || this.plugins.some(p => p.name === ext);
+      if (!handled) throw new Error(`GLTFLoader: unknown required extension "${ext}".`);
+    }
+
+    await this._invokeAll(p => p.beforeRoot?.());
+
+    const [scenes, animations, cameras] = await Promise.all([
+      this.getDependencies("scene"),
+      this.getDependencies("animation"),
+      this.getDependencies("camera"),
+    ]);
+    const result = {
+      scene: scenes[json.scene ?? 0] || scenes[0] || null,
+      scenes,
+      animations,
+      cameras,
+      asset: json.asset,
+      parser: this,
+      userData: json.extras ? { ...json.extras } : {},
+    };
+    await this._invokeAll(p => p.afterRoot?.(result));
+    return result;
+  }
+
+  getDependency(type, index) {
+    const key = `${type}:${index}`;
+    if (!this.cache.has(key)) {
+      const loaders = {
+        scene: this.loadScene, node: this.loadNode, mesh: this.loadMesh,
+        accessor: this.loadAccessor, bufferView: this.loadBufferView, buffer: this.loadBuffer,
+        material: this.loadMaterial, texture: this.loadTexture, image: this.loadImage,
+        skin: this.loadSkin, animation: this.loadAnimation, camera: this.loadCamera,
+      };
+      if (!loaders[type]) throw new Error(`GLTFLoader: unknown dependency type "${type}".`);
+      this.cache.set(key, loaders[type].call(this, index));
+    }
+    return this.cache.get(key);
+  }
+  getDependencies(type) {
+    const defs = this.json[`${type}s`] || [];
+    return Promise.all(defs.map((_, i) => this.getDependency(type, i)));
+  }
+
+  // ---- binary data ------------------------------------------------------
+
+  loadBuffer(index) {
+    const def = this.json.buffers[index];
+    if (def.uri === undefined) {
+      if (index !== 0 || !this.binChunk) throw new Error(`GLTFLoader: buffer ${index} has no data.`);
+      return Promise.resolve(this.binChunk);
+    }
+    if (def.uri.startsWith("data:")) return Promise.resolve(decodeDataURI(def.uri));
+    return new Promise((resolve, reject) => {
+      this.fileLoader.load(resolveURL(def.uri, this.path), resolve, undefined, reject);
+    });
+  }
+
+  loadBufferView(index) {
+    const fromPlugin = this._invokeOne(p => p.loadBufferView?.(index));
+    if (fromPlugin) return fromPlugin;
+    const def = this.json.bufferViews[index];
+    return this.getDependency("buffer", def.buffer).then((buffer) => {
+      const start = def.byteOffset || 0;
+      return buffer.slice(start, start + def.byteLength);
+    });
+  }
+
+  async loadAccessor(index) {
+    const def = this.json.accessors[index];
+    const TypedArray = GLTF_COMPONENT_TYPES[def.componentType];
+    const itemSize = GLTF_TYPE_SIZES[def.type];
+    const elementBytes = TypedArray.BYTES_PER_ELEMENT;
+    const normalized = def.normalized === true;
+
+    let attribute;
+    if (def.bufferView === undefined) {
+      // Spec: a missing bufferView means zeros (usually overridden by sparse).
+      attribute = new THREE.BufferAttribute(new TypedArray(def.count * itemSize), itemSize, normalized);
+    } else {
+      const viewDef = this.json.bufferViews[def.bufferView];
+      const view = await this.getDependency("bufferView", def.bufferView);
+      const byteOffset = def.byteOffset || 0;
+      const stride = viewDef.byteStride;
+      if (stride && stride !== itemSize * elementBytes) {
+        const slice = Math.floor(byteOffset / stride);
+        const array = new TypedArray(view, slice * stride, (def.count * stride) / elementBytes);
+        const ib = new THREE.InterleavedBuffer(array, stride / elementBytes);
+        attribute = new THREE.InterleavedBufferAttribute(ib, itemSize, (byteOffset % stride) / elementBytes, normalized);
+      } else {
+        const array = new TypedArray(view, byteOffset, def.count * itemSize);
+        attribute = new THREE.BufferAttribute(array, itemSize, normalized);
+      }
+    }
+
+    if (def.sparse) {
+      const s = def.sparse;
+      const IndexArray = GLTF_COMPONENT_TYPES[s.indices.componentType];
+      const [indexView, valueView] = await Promise.all([
+        this.getDependency("bufferView", s.indices.bufferView),
+        this.getDependency("bufferView", s.values.bufferView),
+      ]);
+      const indices = new IndexArray(indexView, s.indices.byteOffset || 0, s.count);
+      const values = new TypedArray(valueView, s.values.byteOffset || 0, s.count * itemSize);
+      // Sparse writes must not touch shared/interleaved storage: copy first.
+      // The copy keeps the stored values; sparse values are stored ones too.
+      if (attribute.isInterleavedBufferAttribute || def.bufferView !== undefined) {
+        attribute = new THREE.BufferAttribute(copyStored(attribute, TypedArray), itemSize, normalized);
+      }
+      for (let i = 0; i < indices.length; i++) {
+        for (let c = 0; c < itemSize; c++) attribute.array[indices[i] * itemSize + c] = values[i * itemSize + c];
+      }
+    }
+    return attribute;
+  }
+
+  // ---- textures & materials ----------------------------------------------
+
+  /** An image's encoded bytes, from its bufferView or uri. */
+  async loadImageData(index) {
+    const def = this.json.images[index];
+    if (def.bufferView !== undefined) return this.getDependency("bufferView", def.bufferView);
+    if (def.uri.startsWith("data:")) return decodeDataURI(def.uri);
+    return new Promise((resolve, reject) => this.fileLoader.load(resolveURL(def.uri, this.path), resolve, undefined, reject));
+  }
+
+  async loadImage(index) {
+    const def = this.json.images[index];
+    const blob = new Blob([await this.loadImageData(index)], { type: def.mimeType });
+    if (typeof createImageBitmap !== "undefined") {
+      return createImageBitmap(blob, { imageOrientation: "none", premultiplyAlpha: "none", colorSpaceConversion: "none" });
+    }
+    if (typeof Image !== "undefined") {
+      const src = URL.createObjectURL(blob);
+      const img = new Image();
+      img.src = src;
+      try { await img.decode(); } finally { URL.revokeObjectURL(src); }
+      return img;
+    }
+    throw new Error("GLTFLoader: no image decoder available in this environment.");
+  }
+
+  async loadTexture(index) {
+    const fromPlugin = this._invokeOne(p => p.loadTexture?.(index));
+    if (fromPlugin) return fromPlugin;
+
+    const def = this.json.textures[index];
+    if (def.source === undefined) return null;
+    let image;
+    try {
+      image = await this.getDependency("image", def.source);
+    } catch (e) {
+      // A broken image should not take the whole model down.
+      Emitter.emit("GLTFLoader:error", { texture: index, path: this.path, error: e });
+      return null;
+    }
+    const texture = new THREE.Texture(image);
+    this.applySampler(texture, def.sampler);
+    return texture;
+  }
+
+  applySampler(texture, samplerIndex) {
+    const sampler = samplerIndex !== undefined ? this.json.samplers[samplerIndex] : {};
+    texture.flipY = false;
+    texture.magFilter = GLTF_FILTERS[sampler.magFilter] || THREE.LinearFilter;
+    texture.minFilter = GLTF_FILTERS[sampler.minFilter] || THREE.LinearMipmapLinearFilter;
+    texture.wrapS = GLTF_WRAPPINGS[sampler.wrapS] || THREE.RepeatWrapping;
+    texture.wrapT = GLTF_WRAPPINGS[sampler.wrapT] || THREE.RepeatWrapping;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  async assignTexture(params, key, textureInfo, colorSpace = THREE.NoColorSpace) {
+    const texture = await this.getDependency("texture", textureInfo.index);
+    if (!texture) return null;
+    // One instance per (texture, color space, UV set); the first use keeps
+    // the cached texture, other combinations get a clone sharing its source.
+    const channel = textureInfo.texCoord || 0;
+    const variantKey = `${textureInfo.index}:${colorSpace}:${channel}`;
+    if (!this._textureVariants.has(variantKey)) {
+      const tex = this.claim(texture);
+      tex.colorSpace = colorSpace;
+      tex.channel = channel;
+      this._textureVariants.set(variantKey, tex);
+    }
+    return (params[key] = this._textureVariants.get(variantKey));
+  }
+
+  async loadMaterial(index) {
+    const def = this.json.materials[index];
+    const pbr = def.pbrMetallicRoughness || {};
+    const params = {};
+    const pending = [];
+
+    params.color = new THREE.Color(1, 1, 1);
+    params.opacity = 1;
+    if (pbr.baseColorFactor) {
+      const [r, g, b, a] = pbr.baseColorFactor;
+      params.color.setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+      params.opacity = a;
+    }
+    params.metalness = pbr.metallicFactor ?? 1;
+    params.roughness = pbr.roughnessFactor ?? 1;
+    if (pbr.baseColorTexture) pending.push(this.assignTexture(params, "map", pbr.baseColorTexture, THREE.SRGBColorSpace));
+    if (pbr.metallicRoughnessTexture) {
+      pending.push(this.assignTexture(params, "metalnessMap", pbr.metallicRoughnessTexture));
+      pending.push(this.assignTexture(params, "roughnessMap", pbr.metallicRoughnessTexture));
+    }
+    if (def.normalTexture) {
+      pending.push(this.assignTexture(params, "normalMap", def.normalTexture));
+      const s = def.normalTexture.scale ?? 1;
+      params.normalScale = new THREE.Vector2(s, -s); // glTF normal maps are +Y up with flipY=false
+    }
+    if (def.occlusionTexture) {
+      pending.push(this.assignTexture(params, "aoMap", def.occlusionTexture));
+      params.aoMapIntensity = def.occlusionTexture.strength ?? 1;
+    }
+    if (def.emissiveFactor) {
+      const [r, g, b] = def.emissiveFactor;
+      params.emissive = new THREE.Color().setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+    }
+    if (def.emissiveTexture) pending.push(this.assignTexture(params, "emissiveMap", def.emissiveTexture, THREE.SRGBColorSpace));
+
+    params.side = def.doubleSided ? THREE.DoubleSide : THREE.FrontSide;
+    if (def.alphaMode === "BLEND") {
+      params.transparent = true;
+      params.depthWrite = false;
+    } else {
+      params.transparent = false;
+      if (def.alphaMode === "MASK") params.alphaTest = def.alphaCutoff ?? 0.5;
+    }
+
+    pending.push(this._invokeAll(p => p.extendMaterialParams?.(index, params)));
+    await Promise.all(pending);
+
+    const MaterialType = this._invokeOne(p => p.getMaterialType?.(index)) || THREE.MeshStandardMaterial;
+    const material = new MaterialType(params);
+    material.name = def.name || "";
+    if (def.extras) material.userData = { ...def.extras };
+    return material;
+  }
+
+  // ---- geometry & meshes -------------------------------------------------
+
+  async loadGeometry(primitiveDef) {
+    const fromPlugin = this._invokeOne(p => p.loadGeometry?.(primitiveDef));
+    if (fromPlugin) return fromPlugin;
+
+    const geometry = new THREE.BufferGeometry();
+    const pending = Object.entries(primitiveDef.attributes).map(async ([name, accessorIndex]) => {
+      const attr = await this.getDependency("accessor", accessorIndex);
+      geometry.setAttribute(GLTF_ATTRIBUTES[name] || name.toLowerCase(), attr);
+    });
+    if (primitiveDef.indices !== undefined) {
+      pending.push(this.getDependency("accessor", primitiveDef.indices).then(attr => geometry.setIndex(attr)));
+    }
+    await Promise.all(pending);
+    await this.addMorphTargets(geometry, primitiveDef);
+
+    const pos = this.json.accessors[primitiveDef.attributes.POSITION];
+    if (pos?.min && pos?.max) {
+      geometry.boundingBox = new THREE.Box3(new THREE.Vector3(...pos.min), new THREE.Vector3(...pos.max));
+      geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+    }
+    return geometry;
+  }
+
+  async addMorphTargets(geometry, primitiveDef) {
+    if (!primitiveDef.targets) return;
+    const positions = [], normals = [];
+    for (const target of primitiveDef.targets) {
+      if (target.POSITION !== undefined) positions.push(await this.getDependency("accessor", target.POSITION));
+      if (target.NORMAL !== undefined) normals.push(await this.getDependency("accessor", target.NORMAL));
+    }
+    if (positions.length) geometry.morphAttributes.position = positions;
+    if (normals.length) geometry.morphAttributes.normal = normals;
+    geometry.morphTargetsRelative = true; // glTF targets are deltas
+  }
+
+  async loadMesh(index) {
+    const def = this.json.meshes[index];
+    const meshes = await Promise.all(def.primitives.map(async (prim) => {
+      const [geometry, baseMaterial] = await Promise.all([
+        this.loadGeometry(prim),
+        prim.material !== undefined ? this.getDependency("material", prim.material) : this.getDefaultMaterial(),
+      ]);
+      const material = this.getMaterialVariant(baseMaterial, geometry);
+      const mode = prim.mode ?? 4;
+      let mesh;
+      if (mode === 0) mesh = new THREE.Points(geometry, material);
+      else if (mode === 1) mesh = new THREE.LineSegments(geometry, material);
+      else if (mode === 2) mesh = new THREE.LineLoop(geometry, material);
+      else if (mode === 3) mesh = new THREE.Line(geometry, material);
+      else if (mode === 4) mesh = geometry.attributes.skinIndex ? new THREE.SkinnedMesh(geometry, material) : new THREE.Mesh(geometry, material);
+      else throw new Error(`GLTFLoader: primitive mode ${mode} is not supported.`);
+
+      if (geometry.morphAttributes.position || geometry.morphAttributes.normal) {
+        mesh.updateMorphTargets();
+        def.weights?.forEach((w, i) => { mesh.morphTargetInfluences[i] = w; });
+      }
+      return mesh;
+    }));
+
+    meshes.forEach((m, i) => { m.name = def.name ? `${def.name}${meshes.length > 1 ? `_${i}` : ""}` : ""; });
+    if (meshes.length === 1) return meshes[0];
+    const group = new THREE.Group();
+    group.name = def.name || "";
+    meshes.forEach(m => group.add(m));
+    return group;
+  }
+
+  getDefaultMaterial() {
+    if (!this._defaultMaterial) {
+      this._defaultMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 1, roughness: 1, side: THREE.FrontSide });
+    }
+    return this._defaultMaterial;
+  }
+
+  /** Vertex colors and missing normals need per-geometry material flags. */
+  getMaterialVariant(material, geometry) {
+    const vertexColors = !!geometry.attributes.color;
+    const flatShading = !geometry.attributes.normal && !material.isMeshBasicMaterial;
+    if (!vertexColors && !flatShading) return material;
+    const key = `${material.uuid}:${vertexColors}:${flatShading}`;
+    if (!this._materialVariants.has(key)) {
+      const variant = material.clone();
+      variant.vertexColors = vertexColors;
+      variant.flatShading = flatShading;
+      this._materialVariants.set(key, variant);
+    }
+    return this._materialVariants.get(key);
+  }
+
+  loadCamera(index) {
+    const def = this.json.cameras[index];
+    let camera;
+    if (def.type === "perspective") {
+      const p = def.perspective;
+      camera = new THREE.PerspectiveCamera(THREE.MathUtils.radToDeg(p.yfov), p.aspectRatio || 1, p.znear || 1, p.zfar || 2e6);
+    } else {
+      const o = def.orthographic;
+      camera = new THREE.OrthographicCamera(-o.xmag, o.xmag, o.ymag, -o.ymag, o.znear, o.zfar);
+    }
+    camera.name = def.name || "";
+    return Promise.resolve(camera);
+  }
+
+  // ---- nodes, skins & scenes ---------------------------------------------
+
+  async loadSkin(index) {
+    const def = this.json.skins[index];
+    const [bones, inverse] = await Promise.all([
+      Promise.all(def.joints.map(j => this.getDependency("node", j))),
+      def.inverseBindMatrices !== undefined ? this.getDependency("accessor", def.inverseBindMatrices) : null,
+    ]);
+    const inverses = bones.map((_, i) => {
+      const m = new THREE.Matrix4();
+      if (inverse) m.fromArray(toTypedArray(inverse, Float32Array), i * 16);
+      return m;
+    });
+    return new THREE.Skeleton(bones, inverses);
+  }
+
+  uniqueNodeName(name) {
+    const base = THREE.PropertyBinding.sanitizeNodeName(name || "");
+    if (!base) return "";
+    let unique = base;
+    for (let i = 1; this._nodeNames.has(unique); i++) unique = `${base}_${i}`;
+    this._nodeNames.add(unique);
+    return unique;
+  }
+
+  async loadNode(index) {
+    const json = this.json;
+    const def = json.nodes[index];
+    this._joints ||= new Set((json.skins || []).flatMap(s => s.joints));
+
+    const attachments = [];
+    if (def.mesh !== undefined) {
+      attachments.push(this.getDependency("mesh", def.mesh).then((mesh) => {
+        const instance = this.claim(mesh);
+        if (def.weights) {
+          instance.traverse(o => o.morphTargetInfluences && def.weights.forEach((w, i) => { o.morphTargetInfluences[i] = w; }));
+        }
+        return instance;
+      }));
+    }
+    if (def.camera !== undefined) attachments.push(this.getDependency("camera", def.camera).then(c => this.claim(c)));
+    this.plugins.forEach(p => { const a = p.createNodeAttachment?.(index); if (a) attachments.push(a); });
+    const objects = (await Promise.all(attachments)).filter(Boolean);
+
+    let node;
+    if (this._joints.has(index)) {
+      node = new THREE.Bone();
+      objects.forEach(o => node.add(o));
+    } else if (objects.length === 1) {
+      node = objects[0];
+    } else {
+      node = new THREE.Object3D();
+      objects.forEach(o => node.add(o));
+    }
+
+    node.name = this.uniqueNodeName(def.name);
+    if (def.extras) node.userData = { ...def.extras };
+    if (def.matrix) {
+      node.applyMatrix4(new THREE.Matrix4().fromArray(def.matrix));
+    } else {
+      if (def.translation) node.position.fromArray(def.translation);
+      if (def.rotation) node.quaternion.fromArray(def.rotation);
+      if (def.scale) node.scale.fromArray(def.scale);
+    }
+    return node;
+  }
+
+  /** Parent/child links and skin bindings are resolved once per document. */
+  async buildHierarchy(nodes) {
+    const defs = this.json.nodes || [];
+    defs.forEach((nodeDef, i) => nodeDef.children?.forEach(c => nodes[i].add(nodes[c])));
+    await Promise.all(defs.map(async (nodeDef, i) => {
+      if (nodeDef.skin === undefined) return;
+      const skeleton = await this.getDependency("skin", nodeDef.skin);
+      this.nodeAttachments(nodes[i], nodes).forEach(o => o.isSkinnedMesh && o.bind(skeleton, o.matrixWorld));
+    }));
+  }
+
+  /** The node itself plus its mesh/camera children, excluding child glTF nodes. */
+  nodeAttachments(node, nodes) {
+    const out = [node];
+    const walk = (o) => o.children.forEach(c => { if (!nodes.includes(c)) { out.push(c); walk(c); } });
+    walk(node);
+    return out;
+  }
+
+  async loadScene(index) {
+    const json = this.json;
+    const def = json.scenes[index];
+    const nodes = await this.getDependencies("node");
+
+    this._hierarchy ||= this.buildHierarchy(nodes);
+    await this._hierarchy;
+
+    const scene = new THREE.Group();
+    scene.name = def.name || "";
+    if (def.extras) scene.userData = { ...def.extras };
+    // A root may appear in several scenes; later scenes get a clone.
+    (def.nodes || []).forEach(i => scene.add(nodes[i].parent ? nodes[i].clone() : nodes[i]));
+    return scene;
+  }
+
+  // ---- animations --------------------------------------------------------
+
+  async loadAnimation(index) {
+    const def = this.json.animations[index];
+    const nodes = await this.getDependencies("node");
+    const tracks = [];
+
+    for (const channel of def.channels) {
+      const sampler = def.samplers[channel.sampler];
+      const target = channel.target;
+      if (target.node === undefined || !GLTF_PATHS[target.path]) continue;
+      const [input, output] = await Promise.all([
+        this.getDependency("accessor", sampler.input),
+        this.getDependency("accessor", sampler.output),
+      ]);
+      const times = toTypedArray(input, Float32Array);
+      const values = toTypedArray(output, Float32Array);
+      const interpolation = sampler.interpolation === "STEP" ? THREE.InterpolateDiscrete : THREE.InterpolateLinear;
+      const cubic = sampler.interpolation === "CUBICSPLINE";
+
+      const node = nodes[target.node];
+      const path = GLTF_PATHS[target.path];
+      if (path === "morphTargetInfluences") {
+        const meshes = this.nodeAttachments(node, nodes).filter(o => o.morphTargetInfluences);
+        for (const mesh of meshes) {
+          tracks.push(withSpline(new THREE.NumberKeyframeTrack(`${mesh.uuid}.${path}`, times, values, interpolation), cubic));
+        }
+        continue;
+      }
+      const name = `${node.name || node.uuid}.${path}`;
+      const Track = path === "quaternion" ? THREE.QuaternionKeyframeTrack : THREE.VectorKeyframeTrack;
+      tracks.push(withSpline(new Track(name, times, values, interpolation), cubic));
+    }
+    return new THREE.AnimationClip(def.name || `animation_${index}`, undefined, tracks);
+  }
+}
+
+/**
+ * KHR_draco_mesh_compression: decodes compressed primitives through the
+ * loader's DRACOLoader, mapping glTF attribute names to Draco unique IDs and
+ * accessor component types. Attributes not in the extension load normally.
+ */
+class GLTFDracoMeshCompression {
+  constructor(parser) {
+    this.name = "KHR_draco_mesh_compression";
+    this.parser = parser;
+    this.dracoLoader = parser.loader.dracoLoader;
+  }
+
+  loadGeometry(primitiveDef) {
+    const ext = primitiveDef.extensions?.[this.name];
+    if (!ext) return null;
+    const parser = this.parser;
+    const json = parser.json;
+
+    const attributeIDs = {}, attributeTypes = {}, normalized = {};
+    for (const [gltfName, id] of Object.entries(ext.attributes)) {
+      const name = GLTF_ATTRIBUTES[gltfName] || gltfName.toLowerCase();
+      attributeIDs[name] = id;
+      const accessor = json.accessors[primitiveDef.attributes[gltfName]];
+      attributeTypes[name] = accessor ? GLTF_COMPONENT_TYPES[accessor.componentType].name : "Float32Array";
+      normalized[name] = accessor?.normalized === true;
+    }
+
+    return parser.getDependency("bufferView", ext.bufferView).then(async (view) => {
+      // Decoding transfers the buffer to a worker; keep the cached view intact.
+      const geometry = await this.dracoLoader.decodeGeometry(view.slice(0), { attributeIDs, attributeTypes, useUniqueIDs: true });
+      for (const name in normalized) {
+        if (geometry.attributes[name]) geometry.attributes[name].normalized = normalized[name];
+      }
+      await Promise.all(Object.entries(primitiveDef.attributes).map(async ([gltfName, accessorIndex]) => {
+        if (ext.attributes[gltfName] !== undefined) return;
+        geometry.setAttribute(GLTF_ATTRIBUTES[gltfName] || gltfName.toLowerCase(), await parser.getDependency("accessor", accessorIndex));
+      }));
+      await parser.addMorphTargets(geometry, primitiveDef);
+      return geometry;
+    });
+  }
+}
+
+/**
+ * KHR_texture_basisu: textures whose source is a KTX2 (Basis Universal)
+ * image, transcoded by the loader's KTX2 loader in its workers. Textures
+ * without the extension (or the image fallback of an optional one) load
+ * normally.
+ */
+class GLTFTextureBasisU {
+  constructor(parser) {
+    this.name = "KHR_texture_basisu";
+    this.parser = parser;
+    this.ktx2Loader = parser.loader.ktx2Loader;
+  }
+
+  loadTexture(index) {
+    const def = this.parser.json.textures[index];
+    const source = def.extensions?.[this.name]?.source;
+    if (source === undefined) return null;
+    const parser = this.parser;
+    return parser.loadImageData(source).then((data) => new Promise((resolve, reject) => {
+      // Transcoding transfers the buffer to a worker; keep the cached view intact.
+      this.ktx2Loader.parse(data.slice(0), resolve, reject);
+    })).then((texture) => parser.applySampler(texture, def.sampler));
+  }
+}
+
+/**
+ * glTF CUBICSPLINE keyframes: every key stores [inTangent, value, outTangent],
+ * evaluated as a cubic Hermite spline (glTF 2.0 spec, appendix C).
+ */
+class GLTFCubicSplineInterpolant extends THREE.Interpolant {
+  copySampleValue_(index) {
+    const result = this.resultBuffer, size = this.valueSize, offset = index * size * 3 + size;
+    for (let i = 0; i < size; i++) result[i] = this.sampleValues[offset + i];
+    return result;
+  }
+  interpolate_(i1, t0, t, t1) {
+    const result = this.resultBuffer, values = this.sampleValues, size = this.valueSize;
+    const td = t1 - t0;
+    const p = (t - t0) / td, pp = p * p, ppp = pp * p;
+    const o1 = i1 * size * 3, o0 = o1 - size * 3;
+    const s2 = -2 * ppp + 3 * pp, s3 = ppp - pp, s0 = 1 - s2, s1 = s3 - pp + p;
+    for (let i = 0; i < size; i++) {
+      const v0 = values[o0 + size + i], out0 = values[o0 + 2 * size + i] * td;
+      const v1 = values[o1 + size + i], in1 = values[o1 + i] * td;
+      result[i] = s0 * v0 + s1 * out0 + s2 * v1 + s3 * in1;
+    }
+    return result;
+  }
+}
+GLTFCubicSplineInterpolant.prototype.beforeStart_ = GLTFCubicSplineInterpolant.prototype.copySampleValue_;
+GLTFCubicSplineInterpolant.prototype.afterEnd_ = GLTFCubicSplineInterpolant.prototype.copySampleValue_;
+
+// Splined rotations leave the unit sphere; renormalize.
+class GLTFCubicSplineQuaternionInterpolant extends GLTFCubicSplineInterpolant {
+  interpolate_(i1, t0, t, t1) {
+    const result = super.interpolate_(i1, t0, t, t1);
+    new THREE.Quaternion().fromArray(result).normalize().toArray(result);
+    return result;
+  }
+}
+
+/** Evaluate `track` (values with tangents) as a glTF cubic spline when `cubic`. */
+function withSpline(track, cubic) {
+  if (!cubic) return track;
+  track.createInterpolant = function (result) {
+    const Interpolant = this instanceof THREE.QuaternionKeyframeTrack
+      ? GLTFCubicSplineQuaternionInterpolant : GLTFCubicSplineInterpolant;
+    return new Interpolant(this.times, this.values, this.getValueSize() / 3, result);
+  };
+  // The marker three's own GLTFLoader sets on spline tracks.
+  track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true;
+  return track;
+}
+
+/** De-interleaved copy of an attribute's stored (still normalized) values. */
+function copyStored(attribute, TypedArray) {
+  if (!attribute.isInterleavedBufferAttribute) return new TypedArray(attribute.array);
+  const { data, offset, itemSize, count } = attribute;
+  const out = new TypedArray(count * itemSize);
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < itemSize; c++) out[i * itemSize + c] = data.array[i * data.stride + offset + c];
+  }
+  return out;
+}
+
+/** Denormalized, de-interleaved copy of an attribute's data. */
+function toTypedArray(attribute, TypedArray) {
+  if (!attribute.isInterleavedBufferAttribute && !attribute.normalized && attribute.array instanceof TypedArray) {
+    return attribute.array;
+  }
+  const out = new TypedArray(attribute.count * attribute.itemSize);
+  for (let i = 0; i < attribute.count; i++) {
+    for (let c = 0; c < attribute.itemSize; c++) out[i * attribute.itemSize + c] = attribute.getComponent(i, c);
+  }
+  return out;
+}
+
+
+/* ==========================================================================
+ * 8) Asset Loader (manifest + progress)
+ * ========================================================================== */
+
+/**
+ * AssetLoader: loads a manifest of textures, glTF models, JSON and audio files
+ * through FileLoader and reports byte-weighted progress on the Emitter.
+ *
+ * Manifest entries: { key, url, type?, size?, critical?, retries?, sprites? }
+ *  - `type` is one of "texture" | "ktx2" | "gltf" | "json" | "audio"; inferred
+ *    from the file extension when omitted. "ktx2" needs `setKTX2Loader()`.
+ *  - `size` (bytes) weights the entry in the progress bar. Entries without a
+ *    size use the byte total reported by the response, falling back to the
+ *    average of the known sizes until then.
+ *  - `critical` (default true) entries gate "AssetLoader:afterResolve"; lazy
+ *    entries start once the critical ones are done.
+ *  - `sprites` (audio only) names segments of the file, { hover: [start, duration] },
+ *    played through G.Audio as "key.hover".
+ *
+ * Events:
+ *  - "AssetsProgress"           { percent, loaded, total }  (critical entries only)
+ *  - "AssetLoader:afterResolve" { assets, failed }
+ *  - "AssetLoader:lazyResolve"  { assets, failed }
+ *  - "AssetLoader:error"        { key, url, error }
+ *
+ * Failed entries (after retries) count as complete for progress, so the intro
+ * never hangs on a missing file; they are listed in `failed` and `get()` returns null.
+ */
+const ASSET_EXTENSIONS = {
+  texture: /\.(png|jpe?g|webp|avif|gif)(\?.*)?$/i,
+  ktx2: /\.ktx2(\?.*)?$/i,
+  gltf: /\.(glb|gltf)(\?.*)?$/i,
+  json: /\.json(\?.*)?$/i,
+  audio: /\.(mp3|ogg|wav|m4a|aac)(\?.*)?$/i,
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class AssetLoader {
+  constructor({ retries = 2, retryDelay = 400, concurrency = 6 } = {}) {
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.concurrency = concurrency;
+
+    this.entries = new Map(); // key -> { key, url, type, size, critical, retries, loaded, status }
+    this.assets = {};         // key -> parsed result
+    this.failed = [];         // keys that exhausted their retries
+    this.percent = 0;
+    this.resolved = false;
+
+    // One FileLoader per response type (responseType is loader state).
+    this.fileLoaders = {
+      arraybuffer: new FileLoader().setResponseType("arraybuffer"),
+      text: new FileLoader().setResponseType("text"),
+    };
+    this.gltfLoader = new GLTFLoader();
+    this.ktx2Loader = null;
+  }
+
+  setGLTFLoader(l) { this.gltfLoader = l; return this; }
+  setKTX2Loader(l) { this.ktx2Loader = l; return this; }
+
+  add(manifest) {
+    for (const item of [].concat(manifest || [])) {
+      const type = item.type || Object.keys(ASSET_EXTENSIONS).find(t => ASSET_EXTENSIONS[t].test(item.url));
+      if (!type) throw new Error(`AssetLoader: cannot infer type for "${item.url}".`);
+      const key = item.key || item.url;
+      this.entries.set(key, {
+        key,
+        url: item.url,
+        type,
+        size: item.size || 0,
+        critical: item.critical !== false,
+        retries: item.retries ?? this.retries,
+        sprites: item.sprites || null,
+        loaded: 0,
+        status: "pending", // "pending" | "loading" | "done" | "failed"
+      });
+    }
+    return this;
+  }
+
+  get(key) { return this.assets[key] ?? null; }
+
+  /** Load critical entries, emit afterResolve, then continue with lazy ones. */
+  async load() {
+    const entries = [...this.entries.values()].filter(e => e.status === "pending");
+    const critical = entries.filter(e => e.critical);
+    const lazy = entries.filter(e => !e.critical);
+
+    this._emitProgress();
+    await this._run(critical, true);
+    this.resolved = true;
+    this._emitProgress();
+    Emitter.emit("AssetLoader:afterResolve", { assets: this.assets, failed: this.failed });
+
+    if (lazy.length) {
+      this._run(lazy, false).then(() => {
+        Emitter.emit("AssetLoader:lazyResolve", { assets: this.assets, failed: this.failed });
+      }).catch((error) => Emitter.emit("AssetLoader:error", { key: null, url: null, error }));
+    }
+    return this.assets;
+  }
+
+  async _run(list, reportProgress) {
+    const queue = list.slice();
+    const worker = async () => {
+      while (queue.length) {
+        const entry = queue.shift();
+        await this._loadEntry(entry, reportProgress);
+      }
+    };
+    const n = Math.max(1, Math.min(this.concurrency, queue.length));
+    await Promise.all(Array.from({ length: n }, worker));
+  }
+
+  async _loadEntry(entry, reportProgress) {
+    entry.status = "loading";
+    const onProgress = (ev) => {
+      if (!ev) return;
+      if (!entry.size && ev.total) entry.size = ev.total;
+      entry.loaded = ev.total ? (ev.loaded / ev.total) : 0;
+      if (reportProgress) this._emitProgress();
+    };
+
+    for (let attempt = 0; attempt <= entry.retries; attempt++) {
+      try {
+        this.assets[entry.key] = await this._parse(entry, onProgress);
+        entry.status = "done";
+        break;
+      } catch (error) {
+        if (attempt < entry.retries) {
+          entry.loaded = 0;
+          await wait(this.retryDelay * 2 ** attempt);
+          continue;
+        }
+        entry.status = "failed";
+        this.assets[entry.key] = null;
+        this.failed.push(entry.key);
+        Emitter.emit("AssetLoader:error", { key: entry.key, url: entry.url, error });
+      }
+    }
+    entry.loaded = 1;
+    if (reportProgress) this._emitProgress();
+  }
+
+  _fetch(url, responseType, onProgress) {
+    return new Promise((resolve, reject) => {
+      this.fileLoaders[responseType].load(url, resolve, onProgress, reject);
+    });
+  }
+
+  async _parse(entry, onProgress) {
+    switch (entry.type) {
+      case "texture": {
+        const buf = await this._fetch(entry.url, "arraybuffer", onProgress);
+        const src = URL.createObjectURL(new Blob([buf]));
+        const img = new Image();
+        img.src = src;
+        try { await img.decode(); } finally { URL.revokeObjectURL(src); }
+        const tex = new THREE.Texture(img);
+        tex.colorSpace = THREE.SRGBColorSpace;
+        tex.needsUpdate = true;
+        return tex;
+      }
+      case "ktx2": {
+        if (!this.ktx2Loader) throw new Error(`AssetLoader: "${entry.key}" is KTX2 but no KTX2 loader is set.`);
+        const buf = await this._fetch(entry.url, "arraybuffer", onProgress);
+        // Transcoding transfers the buffer to a worker; keep FileLoader's cached copy intact.
+        return new Promise((resolve, reject) => this.ktx2Loader.parse(buf.slice(0), resolve, reject));
+      }
+      case "gltf":
+        return new Promise((resolve, reject) => this.gltfLoader.load(entry.url, resolve, onProgress, reject));
+      case "json":
+        return JSON.parse(await this._fetch(entry.url, "text", onProgress));
+      case "audio":
+        // Kept as raw bytes; decoding needs an AudioContext, which G.Audio owns.
+        return this._fetch(entry.url, "arraybuffer", onProgress);
+      default:
+        throw new Error(`AssetLoader: unknown type "${entry.type}".`);
+    }
+  }
+
+  _emitProgress() {
+    const critical = [...this.entries.values()].filter(e => e.critical);
+    const known = critical.filter(e => e.size);
+    const fallback = known.length ? known.reduce((s, e) => s + e.size, 0) / known.length : 1;
+
+    let total = 0, loaded = 0;
+    for (const e of critical) {
+      const weight = e.size || fallback;
+      total += weight;
+      loaded += weight * e.loaded;
+    }
+    // Never step backwards: late-arriving sizes can reshuffle the weights.
+    const percent = total ? Math.max(this.percent, Math.floor((loaded / total) * 100)) : 100;
+    if (percent === this.percent && percent !== 0) return;
+    this.percent = percent;
+    Emitter.emit("AssetsProgress", { percent, loaded, total });
+  }
 }
 
 
@@ -599,8 +2673,24 @@ export class GLTFLoader {
 /**
  * Call this once to initialize input and wire a requestAnimationFrame
  * loop that feeds the global RAF event used by the RAFCollection.
+ * Optional subsystems, each filling its G.* slot:
+ *  - assets      AssetLoader manifest; call G.AssetLoader.load() to start it
+ *  - raf         subscribe fn (e.g. frameLoop.add) driving RAF instead of a second loop
+ *  - scroll      smooth-scroll engine -> G.ASScroll, emits SCROLL
+ *  - dom2webgl   [data-webgl] plane registry -> G.Dom2Webgl
+ *  - tasks       task scheduler -> G.TaskScheduler; IntroLoader.hide waits for "warmup"
+ *  - audio       Web Audio manager -> G.Audio, fed "audio" assets; emits "Audio:error"
+ *  - viewport    viewport store -> G.Viewport, G.window; emits RESIZE / VIEWPORT
+ *  - quality     quality governor -> G.Quality; ?quality= and ?dpr= override it
+ *  - debug       debug store -> G.Debug, with ?debug only
+ *  - components  component classes -> G.Components over document.body
+ *  - textures    texture service -> G.Textures, transcodes KTX2 assets and glTF textures
+ *  - gestures    GestureManager options, e.g. { wheelPinch: true }
  */
-export function bootRuntime({ driveRAF = true } = {}) {
+export function bootRuntime({
+  driveRAF = true, assets = null, raf = null, scroll = null, dom2webgl = null, tasks = null, audio = null,
+  components = null, viewport = null, quality = null, debug = null, textures = null, gestures = {},
+} = {}) {
   // Touch/iOS flags if you need them
   try {
     G.isIOS = [
@@ -609,10 +2699,76 @@ export function bootRuntime({ driveRAF = true } = {}) {
     ].includes(navigator.platform) || (navigator.userAgent.includes("Mac") && "ontouchend" in document);
   } catch {}
 
+  // Viewport store first: InputManager reads sizes from it
+  if (viewport) {
+    G.Viewport = viewport;
+    viewport.attach();
+  }
+
+  // ?debug: the overlay lists RAFCollection callbacks and G.Debug controls
+  if (G.debug && debug) {
+    G.Debug = debug;
+    debug.monitor("RAFCollection", "callbacks", () =>
+      G.RAFCollection.subscribers.map((s) => `${s.index} ${s.label} ${s.ms.toFixed(2)}ms`).join("\n"));
+  }
+
   // Start input manager
-  new InputManager();
+  new InputManager({ viewport });
+  G.Gestures = new GestureManager(gestures);
+
+  // WebGL quality tiers (dpr cap, segments, lighting), with URL overrides
+  if (quality) G.Quality = quality.applyParams(G.urlParams);
+
+  // Idle/frame-budgeted work queue (texture uploads, shader compiles)
+  if (tasks) G.TaskScheduler = tasks;
+
+  // Asset pipeline (drives IntroLoader through AssetsProgress/afterResolve)
+  G.AssetLoader = new AssetLoader();
+  if (assets) G.AssetLoader.add(assets);
+
+  // KTX2/Basis transcoding (workers) for "ktx2" assets and glTF textures
+  if (textures) {
+    G.Textures = textures;
+    const ktx2 = { parse: (buffer, onLoad, onError) => textures.parseKTX2(buffer).then(onLoad, onError) };
+    G.AssetLoader.setKTX2Loader(ktx2);
+    G.AssetLoader.gltfLoader.setKTX2Loader(ktx2);
+  }
+
+  // Audio: sounds/sprites come from the asset pipeline; mute is persisted by the manager
+  if (audio) {
+    G.Audio = audio;
+    G.audioMuted = audio.muted;
+    audio.onMute((muted) => { G.audioMuted = muted; });
+    audio.onError((key, error) => Emitter.emit("Audio:error", { key, error }));
+    audio.attach();
+    const addSounds = () => {
+      for (const entry of G.AssetLoader.entries.values()) {
+        const bytes = G.AssetLoader.get(entry.key);
+        if (entry.type === "audio" && bytes && !audio.has(entry.key)) audio.add(entry.key, bytes, entry.sprites);
+      }
+    };
+    Emitter.on("AssetLoader:afterResolve", addSounds);
+    Emitter.on("AssetLoader:lazyResolve", addSounds);
+  }
+
+  // Smooth scroll: { y, target, velocity, progress, limit, direction, smooth, scrolling }
+  if (scroll) {
+    G.ASScroll = scroll;
+    scroll.on((state) => Emitter.emit(G.events.SCROLL, state));
+  }
+
+  // DOM images mirrored as GL planes in the shared canvas
+  if (dom2webgl) {
+    G.Dom2Webgl = dom2webgl;
+    dom2webgl.attach();
+  }
+
+  // Components mount now and follow page swaps through a MutationObserver
+  if (components) G.Components = new ComponentManager(components);
 
-  if (driveRAF && typeof window !== "undefined") {
+  if (raf) {
+    raf((t, info) => Emitter.emit(G.events.RAF, info ?? t), undefined, { label: "G.events.RAF" });
+  } else if (driveRAF && typeof window !== "undefined") {
     const loop = (t) => { Emitter.emit(G.events.RAF, t); window.requestAnimationFrame(loop); };
     window.requestAnimationFrame(loop);
   }
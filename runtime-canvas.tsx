@@ -0,0 +1,82 @@
+// components/RuntimeCanvas.tsx
+"use client";
+import React, { useEffect, useState } from "react";
+import { Canvas, useThree, type CanvasProps } from "@react-three/fiber";
+import { useRuntime } from "@/app/providers/RuntimeProvider";
+import { FRAME_PRIORITY } from "@/lib/frameLoop";
+import { warmScene } from "@/lib/taskScheduler";
+import { quality } from "@/lib/quality";
+import { textures } from "@/lib/textures";
+
+// Renders the R3F root from the shared frame loop, only on invalidated frames.
+// With frameloop="never" R3F takes advance()'s argument as its clock in
+// seconds, so it gets the loop's elapsed time: useFrame deltas are then the
+// loop's (clamped, scaled, paused) dt rather than milliseconds.
+function FrameLoopBridge({ priority }: { priority: number }) {
+  const { onRaf, invalidate } = useRuntime();
+  const advance = useThree((s) => s.advance);
+  const size = useThree((s) => s.size);
+  const dpr = useThree((s) => s.viewport.dpr);
+  useEffect(() => onRaf((_t, info) => advance(info.elapsed), priority, { continuous: false, label: "r3f" }), [onRaf, advance, priority]);
+  useEffect(() => { invalidate(); }, [size, dpr, invalidate]);
+  return null;
+}
+
+// Samples drawn frames while mounted and follows the tier's DPR cap.
+function QualityBridge({ adaptDpr }: { adaptDpr: boolean }) {
+  const setDpr = useThree((s) => s.setDpr);
+  useEffect(() => quality.attach(), []);
+  useEffect(() => {
+    if (!adaptDpr) return;
+    const apply = () => setDpr(Math.min(window.devicePixelRatio || 1, quality.tier.dpr));
+    apply();
+    return quality.on(apply);
+  }, [adaptDpr, setDpr]);
+  return null;
+}
+
+// Shared textures upload through this canvas's renderer (and KTX2 picks
+// formats it supports).
+function TextureBridge() {
+  const gl = useThree((s) => s.gl);
+  useEffect(() => textures.attach(gl), [gl]);
+  return null;
+}
+
+// Compiles the mounted scene and uploads its textures as "warmup" tasks.
+// Rendered after the children so their effects (and meshes) are in place.
+function WarmUp() {
+  const { gl, scene, camera } = useThree();
+  useEffect(() => { warmScene(gl, scene, camera); }, [gl, scene, camera]);
+  return null;
+}
+
+/**
+ * <Canvas> driven by RuntimeProvider's loop instead of its own RAF. Scene
+ * code asks for frames with useInvalidate(); nothing is drawn while idle.
+ * With `warmup` (default) the initial scene is precompiled through the task
+ * scheduler; await taskScheduler.whenStage("warmup") before revealing it.
+ * Unless `dpr` / `gl.antialias` are given, both come from the adaptive
+ * quality tier (see lib/quality); antialias is fixed once the canvas exists.
+ */
+export default function RuntimeCanvas({
+  children,
+  renderPriority = FRAME_PRIORITY.RENDER,
+  warmup = true,
+  ...props
+}: Omit<CanvasProps, "frameloop"> & { renderPriority?: number; warmup?: boolean }) {
+  const [initial] = useState(() => {
+    if (typeof window !== "undefined") quality.applyParams(new URLSearchParams(window.location.search));
+    return quality.probe().tier;
+  });
+  const gl = typeof props.gl === "function" ? props.gl : { antialias: initial.antialias, ...props.gl };
+  return (
+    <Canvas dpr={[1, initial.dpr]} {...props} gl={gl} frameloop="never">
+      <FrameLoopBridge priority={renderPriority} />
+      <QualityBridge adaptDpr={props.dpr === undefined} />
+      <TextureBridge />
+      {children}
+      {warmup && <WarmUp />}
+    </Canvas>
+  );
+}
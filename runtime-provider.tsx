@@ -1,96 +1,120 @@
 // app/providers/RuntimeProvider.tsx
 "use client";
-import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  createContext, lazy, Suspense, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore,
+} from "react";
+import { cancelFrame, frame, useMotionValue, type FrameData, type MotionValue } from "framer-motion";
+import {
+  createRafDriver, frameLoop, type FrameCallback, type FrameDriver, type FrameOptions,
+} from "@/lib/frameLoop";
+import {
+  createElementPointer, measureElementPointer, pointerTracker,
+  type ElementPointer, type PointerListener, type PointerPhase, type PointerSpaces, type TrackedPointer,
+} from "@/lib/pointer";
+import { audio, type AudioManager } from "@/lib/audio";
+import {
+  smoothScroll, type ScrollState, type ScrollTriggerOptions, type SmoothScrollOptions,
+} from "@/lib/smoothScroll";
+import { BREAKPOINTS, SERVER_VIEWPORT, viewport, type Breakpoint, type ViewportState } from "@/lib/viewport";
+import { quality, type QualityTier } from "@/lib/quality";
+import { DEBUG, debugStore, defaultsOf, type DebugSchema, type DebugValues } from "@/lib/debug";
 
-type RafCB = (t: number) => void;
-type Entry = { index: number; cb: RafCB };
+// Only fetched with ?debug; compiled out entirely when DEBUG is constant false
+// (production builds without NEXT_PUBLIC_DEBUG=on).
+const DebugPanel = DEBUG ? lazy(() => import("@/components/DebugPanel")) : null;
 
-type PointerSpaces = {
-  px: { x: number; y: number };        // pixels
-  screen: { x: number; y: number };    // [0..1]
-  ndc: { x: number; y: number };       // [-1..1]
-  gl: { x: number; y: number };        // centered pixels
-  v: { x: number; y: number };         // velocity estimate
-}
+type RafCB = FrameCallback; // (t, { t, dt, elapsed, frame }); dt in seconds
 
 type Runtime = {
-  w: number; h: number; dpr: number;
-  pointer: PointerSpaces;
-  onRaf: (cb: RafCB, index?: number) => () => void; // returns unsubscribe
-  reducedMotion: boolean;
+  readonly w: number; readonly h: number; readonly dpr: number; // current viewport; useViewport() to re-render on change
+  pointer: PointerSpaces;                // primary pointer, mutated in place
+  pointers: ReadonlyMap<number, TrackedPointer>; // every active pointer by pointerId
+  onPointer: (phase: PointerPhase, cb: PointerListener) => () => void;
+  onRaf: (cb: RafCB, index?: number, opts?: FrameOptions) => () => void; // returns unsubscribe
+  invalidate: (frames?: number) => void; // request on-demand frames (GL render)
+  pause: () => void;                     // stop the loop (also automatic while the tab is hidden)
+  resume: () => void;
+  setTimeScale: (s: number) => void;     // scales dt/elapsed for every subscriber
+  scroll: ScrollState;                   // smooth-scroll position/velocity, mutated in place
+  scrollTo: typeof smoothScroll.scrollTo;
+  audio: AudioManager;                   // sounds, mute, audio.analysis (fresh before onRaf callbacks)
+  readonly reducedMotion: boolean;
 };
 
 const RuntimeCtx = createContext<Runtime | null>(null);
 export const useRuntime = () => useContext(RuntimeCtx)!;
 
-export default function RuntimeProvider({ children }: { children: React.ReactNode }) {
-  const [size, setSize] = useState({ w: 0, h: 0, dpr: 1 });
-  const reducedMotion = useMemo(() =>
-    typeof window !== "undefined" && window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches, []);
-
-  // RAF priority queue
-  const subs = useRef<Entry[]>([]);
-  const onRaf = (cb: RafCB, index = 2) => {
-    const e: Entry = { index, cb };
-    subs.current.push(e);
-    subs.current.sort((a,b) => a.index - b.index);
-    return () => { subs.current = subs.current.filter(x => x !== e); };
+// Runs the loop inside framer-motion's render step (after its value updates).
+function framerDriver(): FrameDriver {
+  let process: ((data: FrameData) => void) | null = null;
+  return {
+    request: (tick) => {
+      process = (data) => tick(data.timestamp);
+      frame.render(process);
+    },
+    cancel: () => { if (process) cancelFrame(process); process = null; },
   };
+}
 
-  // pointer spaces
-  const pointer = useRef<PointerSpaces>({
-    px: { x: 0, y: 0 },
-    screen: { x: 0, y: 0 },
-    ndc: { x: -1, y: -1 },
-    gl: { x: 0, y: 0 },
-    v: { x: 0, y: 0 },
-  });
-
+export default function RuntimeProvider({
+  children,
+  smoothScroll: scrollOptions = true,
+}: {
+  children: React.ReactNode;
+  smoothScroll?: boolean | SmoothScrollOptions; // read once on mount
+}) {
+  // RAF priority queue: the shared frame loop, ticked by framer-motion's
+  // batcher so motion values, onRaf subscribers and GL share one frame.
   useEffect(() => {
-    const updateSize = () => setSize({ w: window.innerWidth, h: window.innerHeight, dpr: window.devicePixelRatio || 1 });
-    updateSize();
-    window.addEventListener("resize", updateSize, { passive: true });
-
-    let last = { x: 0, y: 0, t: performance.now() };
-    const onMove = (e: MouseEvent | TouchEvent) => {
-      const c = "touches" in e ? e.touches[0] : (e as MouseEvent);
-      const x = c.clientX, y = c.clientY;
-      const { w, h } = { w: window.innerWidth, h: window.innerHeight };
-      const now = performance.now(); const dt = Math.max(1, now - last.t);
-      pointer.current.px = { x, y };
-      pointer.current.screen = { x: x / w, y: y / h };
-      pointer.current.ndc = { x: (x / w) * 2 - 1, y: -((y / h) * 2 - 1) };
-      pointer.current.gl = { x: x - w / 2, y: -(y - h / 2) };
-      pointer.current.v = { x: (x - last.x) / dt, y: (y - last.y) / dt };
-      last = { x, y, t: now };
-    };
-    window.addEventListener("mousemove", onMove, { passive: true });
-    window.addEventListener("touchmove", onMove, { passive: true });
-
-    // drive RAF
-    let raf = 0;
-    const loop = (t: number) => {
-      raf = requestAnimationFrame(loop);
-      for (const e of subs.current) e.cb(t);
-    };
-    raf = requestAnimationFrame(loop);
-
-    return () => {
-      cancelAnimationFrame(raf);
-      window.removeEventListener("resize", updateSize);
-      window.removeEventListener("mousemove", onMove);
-      window.removeEventListener("touchmove", onMove);
-    };
+    frameLoop.setDriver(framerDriver());
+    return () => frameLoop.setDriver(createRafDriver());
   }, []);
 
+  // pointer spaces (Pointer Events, all pointers; see lib/pointer)
+  useEffect(() => pointerTracker.attach(), []);
+
+  // audio: unlock on first gesture, suspend while hidden (see lib/audio)
+  useEffect(() => audio.attach(), []);
+
+  // smooth scroll (falls back to native under reduced motion; see lib/smoothScroll)
+  useEffect(() => smoothScroll.attach(
+    typeof scrollOptions === "object" ? scrollOptions : { smooth: scrollOptions }
+  ), []);
+
+  // viewport store (size, breakpoint, media flags, --vh; see lib/viewport)
+  useEffect(() => viewport.attach(), []);
+
+  // DEBUG is false on the server: mount the overlay after hydration so the
+  // client's first render matches the server HTML.
+  const [hydrated, setHydrated] = useState(false);
+  useEffect(() => { setHydrated(true); }, []);
+
+  // Stable: viewport fields are read live, so a resize doesn't re-render
+  // every consumer; components that lay out by size use useViewport().
   const value = useMemo<Runtime>(() => ({
-    w: size.w, h: size.h, dpr: size.dpr,
-    pointer: pointer.current,
-    onRaf,
-    reducedMotion,
-  }), [size, reducedMotion]);
+    get w() { return viewport.state.w; },
+    get h() { return viewport.state.h; },
+    get dpr() { return viewport.state.dpr; },
+    pointer: pointerTracker.spaces,
+    pointers: pointerTracker.pointers,
+    onPointer: pointerTracker.on,
+    onRaf: frameLoop.add,
+    invalidate: frameLoop.invalidate,
+    pause: frameLoop.pause,
+    resume: frameLoop.resume,
+    setTimeScale: (s: number) => { frameLoop.timeScale = s; },
+    scroll: smoothScroll.state,
+    scrollTo: smoothScroll.scrollTo,
+    audio,
+    get reducedMotion() { return viewport.state.reducedMotion; },
+  }), []);
 
-  return <RuntimeCtx.Provider value={value}>{children}</RuntimeCtx.Provider>;
+  return (
+    <RuntimeCtx.Provider value={value}>
+      {children}
+      {DebugPanel && hydrated && <Suspense fallback={null}><DebugPanel /></Suspense>}
+    </RuntimeCtx.Provider>
+  );
 }
 
 // convenience hooks
@@ -99,8 +123,154 @@ export function useRaf(index = 2, cb?: RafCB) {
   const ref = useRef<RafCB | null>(cb ?? null);
   useEffect(() => {
     if (!ref.current) return;
-    return onRaf((t) => ref.current && ref.current(t), index);
+    return onRaf((t, info) => ref.current && ref.current(t, info), index, { label: ref.current.name || "useRaf" });
   }, [index, onRaf]);
   return (fn: RafCB) => { ref.current = fn; };
 }
 export function usePointer() { return useRuntime().pointer; }
+
+/** Subscribe to a pointer phase ("down" | "move" | "drag" | "up") for the component's lifetime. */
+export function usePointerEvent(phase: PointerPhase, cb: PointerListener) {
+  const { onPointer } = useRuntime();
+  const ref = useRef(cb);
+  ref.current = cb;
+  useEffect(() => onPointer(phase, (p, e) => ref.current(p, e)), [phase, onPointer]);
+}
+
+/**
+ * The primary pointer in `ref`'s box (size, px, center, uv, ndc, inside). The
+ * returned object is stable and updated in place on pointer moves and
+ * scrolls; `onChange` runs after each update.
+ */
+export function useElementPointer(ref: React.RefObject<Element>, onChange?: (p: ElementPointer) => void) {
+  const { pointer, onPointer } = useRuntime();
+  const out = useRef<ElementPointer>(createElementPointer()).current;
+  const cb = useRef(onChange);
+  cb.current = onChange;
+  useEffect(() => {
+    const measure = () => {
+      if (!ref.current) return;
+      measureElementPointer(out, ref.current, pointer.px.x, pointer.px.y);
+      cb.current?.(out);
+    };
+    const off = [
+      onPointer("move", (p) => { if (p.primary) measure(); }),
+      onPointer("down", (p) => { if (p.primary) measure(); }),
+    ];
+    window.addEventListener("scroll", measure, { passive: true, capture: true });
+    return () => {
+      off.forEach((f) => f());
+      window.removeEventListener("scroll", measure, { capture: true });
+    };
+  }, [ref, out, pointer, onPointer]);
+  return out;
+}
+/**
+ * Viewport state, or the slice `selector` picks; re-renders only when that
+ * slice changes. Selectors should return a primitive (or a field of the state).
+ */
+export function useViewport(): ViewportState;
+export function useViewport<T>(selector: (s: ViewportState) => T): T;
+export function useViewport<T>(selector: (s: ViewportState) => T = (s) => s as T) {
+  return useSyncExternalStore(viewport.on, () => selector(viewport.state), () => selector(SERVER_VIEWPORT));
+}
+
+/** The current breakpoint name, or with `name`, whether the viewport is at least that wide. */
+export function useBreakpoint(): Breakpoint;
+export function useBreakpoint(name: Breakpoint): boolean;
+export function useBreakpoint(name?: Breakpoint) {
+  return useViewport((s) => (name ? s.w >= BREAKPOINTS[name] : s.breakpoint));
+}
+
+/** The WebGL quality tier (dpr cap, segments, lighting, antialias); re-renders when it changes. */
+export function useQuality(): QualityTier {
+  return useSyncExternalStore(quality.on, () => quality.tier, () => quality.tier);
+}
+
+const noSubscribe = () => () => {};
+
+/**
+ * Live-editable values in the ?debug overlay, grouped under `folder`. Without
+ * ?debug this is just the schema's declared values.
+ */
+export function useDebugControls<S extends DebugSchema>(folder: string, schema: S): DebugValues<S> {
+  const latest = useRef(schema);
+  latest.current = schema;
+  useEffect(() => (DEBUG ? debugStore.register(folder, latest.current) : undefined), [folder]);
+  useSyncExternalStore(DEBUG ? debugStore.on : noSubscribe, () => (DEBUG ? debugStore.snapshot : 0), () => 0);
+  const values = defaultsOf(schema);
+  if (!DEBUG) return values;
+  for (const key of Object.keys(values) as (keyof S)[]) {
+    const v = debugStore.get(folder, key as string);
+    if (v !== undefined) values[key] = v as S[typeof key]["value"];
+  }
+  return values;
+}
+
+/** Show `read()` in the ?debug overlay under `folder` / `key`. */
+export function useDebugMonitor(folder: string, key: string, read: () => unknown) {
+  const ref = useRef(read);
+  ref.current = read;
+  useEffect(() => (DEBUG ? debugStore.monitor(folder, key, () => ref.current()) : undefined), [folder, key]);
+}
+
+/**
+ * Expose a material's numeric uniforms in the ?debug overlay. Call the
+ * returned function after the frame's own uniform writes: edited values win.
+ */
+export function useDebugUniforms(folder: string, uniforms: Record<string, { value: unknown }>) {
+  useEffect(() => {
+    if (!DEBUG) return;
+    const schema: DebugSchema = {};
+    for (const [key, u] of Object.entries(uniforms)) {
+      if (typeof u.value === "number") schema[key] = { value: u.value, min: 0, max: Math.max(1, u.value * 4), step: 0.001 };
+    }
+    return debugStore.register(folder, schema);
+  }, [folder, uniforms]);
+  return useCallback(() => {
+    const f = DEBUG && debugStore.folders.get(folder);
+    if (!f) return;
+    for (const [key, v] of Object.entries(f.values)) {
+      if (v !== f.schema[key]?.value && uniforms[key]) uniforms[key].value = v;
+    }
+  }, [folder, uniforms]);
+}
+
+// Safe outside the provider (e.g. a plain <Canvas>): falls back to the shared loop.
+export function useInvalidate() { return useContext(RuntimeCtx)?.invalidate ?? frameLoop.invalidate; }
+
+/** Scroll state as MotionValues (y, velocity, progress) plus scrollTo. */
+export function useSmoothScroll() {
+  const { scroll, scrollTo } = useRuntime();
+  const y = useMotionValue(scroll.y);
+  const velocity = useMotionValue(scroll.velocity);
+  const progress = useMotionValue(scroll.progress);
+  useEffect(() => smoothScroll.on((s) => {
+    y.set(s.y);
+    velocity.set(s.velocity);
+    progress.set(s.progress);
+  }), [y, velocity, progress]);
+  return { state: scroll, scrollTo, y, velocity, progress };
+}
+
+/**
+ * Scroll progress (0..1) across `ref` between two offsets, e.g.
+ * { start: "top bottom", end: "bottom top" }. The MotionValue can drive a
+ * PeelPlane directly: driver={{ type: "motion", value }}.
+ */
+export function useScrollTrigger(ref: React.RefObject<Element>, options: Omit<ScrollTriggerOptions, "onUpdate"> = {}): MotionValue<number> {
+  const progress = useMotionValue(0);
+  const opts = useRef(options);
+  opts.current = options;
+  const { start, end } = options;
+  useEffect(() => {
+    if (!ref.current) return;
+    return smoothScroll.addTrigger(ref.current, {
+      start, end,
+      onUpdate: (p) => progress.set(p),
+      onEnter: () => opts.current.onEnter?.(),
+      onLeave: () => opts.current.onLeave?.(),
+    });
+  }, [ref, progress, String(start), String(end)]);
+  return progress;
+}
@@ -1,121 +1,34 @@
 "use client";
 
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
-import { useTexture } from "@react-three/drei";
-import * as THREE from "three";
-import { useScroll, useTransform, useMotionValueEvent } from "framer-motion";
+import React, { useRef } from "react";
+import PeelPlane, { BEND_MAX, PROGRESS_MAX } from "@/components/PeelPlane";
+import WebglLayer from "@/components/WebglLayer";
+import {
+  useBreakpoint, useDebugControls, useDebugMonitor, useScrollTrigger, useViewport,
+} from "@/app/providers/RuntimeProvider";
 
-const IMG_SRC =
-  "https://images.unsplash.com/photo-1519681393784-d120267933ba?q=80&w=1976&auto=format&fit=crop";
-const BEND_MAX = 0.25;
-const PROGRESS_MAX = 1.5;
+const unsplash = (w: number) =>
+  `https://images.unsplash.com/photo-1519681393784-d120267933ba?q=80&w=${w}&auto=format&fit=crop`;
+const IMG_SRC = unsplash(1976);
+// The GL layer picks from these by the image's drawn width and the DPR.
+const IMG_SRCSET = [640, 1080, 1600, 1976, 2560].map((w) => `${unsplash(w)} ${w}w`).join(", ");
 
-function useFlags() {
-  const [reduced, setReduced] = useState(false);
-  const [isSmall, setSmall] = useState(false);
-  useEffect(() => {
-    const mqR = window.matchMedia("(prefers-reduced-motion: reduce)");
-    const mqS = window.matchMedia("(max-width: 768px)");
-    const setAll = () => {
-      setReduced(mqR.matches);
-      setSmall(mqS.matches);
-    };
-    setAll();
-    mqR.addEventListener("change", setAll);
-    mqS.addEventListener("change", setAll);
-    return () => {
-      mqR.removeEventListener("change", setAll);
-      mqS.removeEventListener("change", setAll);
-    };
-  }, []);
-  return { reduced, isSmall };
-}
-
-const vertex = `
-  varying vec2 vUv;
-  uniform float u_progress;
-  uniform float u_bend;
-  void main() {
-    vUv = uv;
-    vec3 pos = position;
-    float edge = 1.0 - vUv.y;
-    float p = clamp(u_progress, 0.0, ${PROGRESS_MAX.toFixed(1)});
-    float curlZ = u_bend * p * edge * edge;
-    pos.z += curlZ;
-    pos.x += 0.15 * p * edge * (uv.x - 0.5);
-    pos.y += 0.03 * p * edge;
-    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-  }
-`;
-
-const fragment = `
-  varying vec2 vUv;
-  uniform sampler2D u_tex;
-  uniform float u_progress;
-  void main() {
-    float p = clamp(u_progress, 0.0, ${PROGRESS_MAX.toFixed(1)});
-    vec2 uv = vUv;
-    uv.y = mix(uv.y, pow(uv.y, 0.85), min(p, 1.0));
-    vec4 c = texture2D(u_tex, uv);
-    float edge = vUv.y;
-    float reveal = smoothstep(0.0, 0.8, edge + p * 0.3);
-    float rim = (1.0 - edge) * 0.3 * min(p, 1.0);
-    c.rgb += rim;
-    gl_FragColor = vec4(c.rgb, c.a * reveal);
-  }
-`;
-
-function PeelMaterial({ texture, progress, bend }: { texture: THREE.Texture; progress: number; bend: number }) {
-  const matRef = useRef<THREE.ShaderMaterial>(null!);
-  useFrame(() => {
-    if (!matRef.current) return;
-    matRef.current.uniforms.u_progress.value = progress;
-    matRef.current.uniforms.u_bend.value = bend;
-  });
-  const uniforms = useMemo(
-    () => ({
-      u_tex: { value: texture },
-      u_progress: { value: 0 },
-      u_bend: { value: 0 },
-    }),
-    [texture]
-  );
-  return (
-    <shaderMaterial ref={matRef} uniforms={uniforms} vertexShader={vertex} fragmentShader={fragment} transparent />
-  );
-}
-
-function FitPlane({ tex, progress, bend }: { tex: THREE.Texture; progress: number; bend: number }) {
-  const meshRef = useRef<THREE.Mesh>(null!);
-  const { viewport } = useThree();
-  const img: any = tex.image;
-  const w = img && (img.naturalWidth || img.width) ? (img.naturalWidth || img.width) : 3;
-  const h = img && (img.naturalHeight || img.height) ? (img.naturalHeight || img.height) : 2;
-  const ratio = w / h;
-  const width = viewport.width * 0.7;
-  const height = width / ratio;
-  return (
-    <mesh ref={meshRef} position={[0, 0, 0]}>
-      <planeGeometry args={[width, height, 64, 64]} />
-      <PeelMaterial texture={tex} progress={progress} bend={bend} />
-    </mesh>
-  );
-}
-
-export default function PeelDemo({ src = IMG_SRC }: { src?: string }) {
+export default function PeelDemo({ src = IMG_SRC, srcSet = src === IMG_SRC ? IMG_SRCSET : undefined }: { src?: string; srcSet?: string }) {
   const sectionRef = useRef<HTMLDivElement>(null);
-  const tex = useTexture(src);
-  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
-  tex.minFilter = THREE.LinearFilter;
-  tex.magFilter = THREE.LinearFilter;
-  tex.colorSpace = THREE.SRGBColorSpace as any;
-  const { reduced, isSmall } = useFlags();
-  const { scrollYProgress } = useScroll({ target: sectionRef, offset: ["start end", "end center"] });
-  const progressMV = useTransform(scrollYProgress, [0, 1], [0, PROGRESS_MAX]);
-  const [progVal, setProgVal] = useState(0);
-  useMotionValueEvent(progressMV, "change", (v) => setProgVal(reduced ? (v as number) * 0.6 : (v as number)));
-  const bend = isSmall ? 0 : BEND_MAX;
+  const reduced = useViewport((s) => s.reducedMotion);
+  const isSmall = !useBreakpoint("sm");
+  const status = useRef("loading");
+  const lastError = useRef("none");
+  // Live-editable with ?debug; otherwise the responsive defaults.
+  const { bend, max } = useDebugControls("peel", {
+    bend: { value: isSmall ? 0 : BEND_MAX, min: 0, max: 1 },
+    max: { value: reduced ? PROGRESS_MAX * 0.6 : PROGRESS_MAX, min: 0, max: 2 },
+  });
+  // One progress value for the GL peel and its CSS fallback.
+  const progress = useScrollTrigger(sectionRef, { start: "top bottom", end: "bottom center" });
+  useDebugMonitor("peel", "progress", () => progress.get() * max);
+  useDebugMonitor("peel", "webgl", () => status.current);
+  useDebugMonitor("peel", "error", () => lastError.current);
   return (
     <div className="min-h-[300vh] bg-neutral-950 text-neutral-200">
       <section className="h-[120vh] grid place-items-center">
@@ -125,28 +38,48 @@ export default function PeelDemo({ src = IMG_SRC }: { src?: string }) {
         </div>
       </section>
       <section ref={sectionRef} className="relative h-[160vh]">
-        <Canvas
-          className="!fixed inset-0 h-screen w-screen"
-          gl={{ antialias: true, alpha: true }}
-          camera={{ position: [0, 0, 4.5], fov: 50 }}
-        >
-          <FitPlane tex={tex} progress={progVal} bend={bend} />
-        </Canvas>
-        <div className="absolute inset-0 pointer-events-none grid place-items-center">
-          <div className="text-center max-w-xl">
-            <p className="opacity-70">progress: {progVal.toFixed(2)} / {PROGRESS_MAX}</p>
-            <p className="opacity-50 text-sm">bend: {bend}</p>
-          </div>
+        {/* The real image stays in the page; the GL layer draws over it and hides it once ready. */}
+        <div className="sticky top-0 h-screen grid place-items-center">
+          <img
+            src={src}
+            srcSet={srcSet}
+            sizes="70vw"
+            alt="Snowy mountain ridge under a night sky"
+            data-webgl="peel"
+            crossOrigin="anonymous"
+            className="w-[70vw] h-auto"
+          />
         </div>
       </section>
+      <WebglLayer
+        fallbackProgress={() => progress}
+        onStatus={(s) => { status.current = s; }}
+        onError={(err, item) => { lastError.current = `${item ? `image ${item.src}` : "webgl"}: ${err}`; }}
+      >
+        {(item, { texture, width, height }) => (
+          <PeelPlane
+            texture={texture}
+            width={width}
+            height={height}
+            bend={bend}
+            max={max}
+            driver={{ type: "motion", value: progress }}
+          />
+        )}
+      </WebglLayer>
       <section className="h-[140vh] grid place-items-center">
         <div className="text-center max-w-prose">
           <h2 className="text-2xl md:text-3xl font-medium">Make it yours</h2>
           <ul className="text-left list-disc list-inside opacity-80 mt-3 space-y-1">
-            <li>Replace the image with your project shots or GLTF-baked renders.</li>
-            <li>Drive <code>u_progress</code> with hover, click, or audio level instead of scroll.</li>
-            <li>Add specular/rim in the fragment shader for a glossy paper look.</li>
-            <li>Stack multiple planes for a magazine spread and offset their timings.</li>
+            <li>Tag any <code>&lt;img data-webgl="peel"&gt;</code> and <code>&lt;WebglLayer&gt;</code> peels it in place; the DOM image stays for accessibility and SEO.</li>
+            <li>Drive <code>u_progress</code> with the <code>driver</code> prop: hover, press, a ref trigger, time, or any MotionValue.</li>
+            <li>Tune <code>radius</code>, <code>specular</code>, <code>shadow</code> and <code>backColor</code>/<code>backTexture</code> for the paper stock.</li>
+            <li>Feed <code>useScrollTrigger(ref)</code> into a <code>motion</code> driver to peel with the smooth scroll.</li>
+            <li>Make it audio-reactive: read <code>audio.analysis.bands.bass</code> in an <code>onRaf</code> callback and feed it to a uniform.</li>
+            <li>Open the page with <code>?debug</code> to tune <code>bend</code>, <code>max</code> and the shader uniforms live and save presets.</li>
+            <li>No WebGL, or the context was lost? The image stays in the page and <code>fallback="css"</code> peels it with a clip-path from the same progress.</li>
+            <li>Give the image a <code>srcSet</code> and the GL copy loads the width it is drawn at; <code>.ktx2</code> urls are transcoded in a worker, and a <code>&lt;video data-webgl&gt;</code> or <code>&lt;canvas data-webgl&gt;</code> is drawn live.</li>
+            <li>Stack multiple planes for a magazine spread with <code>&lt;PeelStack&gt;</code> and its <code>stagger</code>.</li>
           </ul>
         </div>
       </section>
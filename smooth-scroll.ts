@@ -0,0 +1,378 @@
+// lib/smoothScroll.ts
+// Damped page scrolling on top of the native scroll position: wheel, keyboard
+// (and optionally touch) input move a target, and every frame the document is
+// scrolled a step closer to it. Because the page still scrolls natively,
+// position: sticky, framer-motion's useScroll and find-in-page keep working.
+// Under prefers-reduced-motion (followed live through the viewport store)
+// nothing is intercepted and the engine only reports native scroll. Sideways
+// wheel input and nested scroll containers that can still move stay native.
+import { damp, frameLoop, FRAME_PRIORITY, type FrameInfo } from "@/lib/frameLoop";
+import { viewport } from "@/lib/viewport";
+
+export type ScrollState = {
+  y: number;          // current (animated) scroll position, px
+  target: number;     // where y is heading
+  velocity: number;   // px/s
+  progress: number;   // y / limit, 0..1
+  limit: number;      // max scroll, px
+  direction: 1 | -1;
+  smooth: boolean;    // false when falling back to native scroll
+  scrolling: boolean; // animating toward target
+};
+
+export type SmoothScrollOptions = {
+  smooth?: boolean;         // false: native scroll, still reporting state and triggers
+  lambda?: number;          // damping rate (1/s); higher is snappier
+  wheelMultiplier?: number;
+  touchMultiplier?: number;
+  syncTouch?: boolean;      // also damp touch scrolling (native momentum otherwise)
+  touchInertia?: number;    // seconds of release velocity carried into the target
+  keyboard?: boolean;
+};
+
+// An element edge and a viewport edge, as in framer-motion's offsets:
+// "top bottom" = when the element's top meets the viewport's bottom.
+type Edge = "top" | "center" | "bottom" | number;
+export type TriggerOffset = `${Edge} ${Edge}` | [Edge, Edge];
+
+export type ScrollTriggerOptions = {
+  start?: TriggerOffset;
+  end?: TriggerOffset;
+  onUpdate?: (progress: number) => void;
+  onEnter?: () => void;
+  onLeave?: () => void;
+};
+
+export type ScrollToOptions = {
+  offset?: number;
+  duration?: number;                 // seconds; omit to damp like wheel input
+  easing?: (t: number) => number;
+  immediate?: boolean;
+  onComplete?: () => void;
+};
+
+type Trigger = Required<Pick<ScrollTriggerOptions, "start" | "end">> & ScrollTriggerOptions & {
+  el: Element; from: number; to: number; progress: number; inside: boolean;
+};
+
+type Tween = { from: number; to: number; t: number; duration: number; easing: (t: number) => number; onComplete?: () => void };
+
+const DEFAULTS: Required<SmoothScrollOptions> = {
+  smooth: true,
+  lambda: 9,
+  wheelMultiplier: 1,
+  touchMultiplier: 1.5,
+  syncTouch: false,
+  touchInertia: 0.35,
+  keyboard: true,
+};
+
+export const easeInOutCubic = (t: number) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+const clamp = (v: number, lo: number, hi: number) => Math.min(hi, Math.max(lo, v));
+const edge = (e: Edge) => (typeof e === "number" ? e : e === "top" ? 0 : e === "center" ? 0.5 : 1);
+const parseOffset = (o: TriggerOffset) => (typeof o === "string" ? o.split(" ") as [Edge, Edge] : o).map(
+  (e) => edge(typeof e === "string" && !isNaN(Number(e)) ? Number(e) : e as Edge)
+);
+
+// Keys and the distance they scroll (fractions are of the viewport height).
+const KEYS: Record<string, number> = { ArrowDown: 100, ArrowUp: -100, PageDown: 0.9, PageUp: -0.9 };
+
+function isEditable(el: EventTarget | null) {
+  return el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+}
+
+// Whether `el` is an overflow container that can still scroll toward `dy`
+// (either way when dy is 0).
+function canScroll(el: HTMLElement, dy: number) {
+  if (el.scrollHeight <= el.clientHeight || !/(auto|scroll|overlay)/.test(getComputedStyle(el).overflowY)) return false;
+  const atTop = el.scrollTop <= 0;
+  const atBottom = el.scrollTop + el.clientHeight >= el.scrollHeight - 1;
+  return dy > 0 ? !atBottom : dy < 0 ? !atTop : true;
+}
+
+// Elements marked data-scroll-native (and their children) keep native
+// wheel/touch, as do nested scroll containers until they reach their end.
+function wantsNative(e: Event, dy = 0) {
+  for (const n of e.composedPath()) {
+    if (!(n instanceof HTMLElement) || n === document.body || n === document.documentElement) continue;
+    if (n.hasAttribute("data-scroll-native") || canScroll(n, dy)) return true;
+  }
+  return false;
+}
+
+export class SmoothScroll {
+  readonly state: ScrollState = {
+    y: 0, target: 0, velocity: 0, progress: 0, limit: 0, direction: 1, smooth: true, scrolling: false,
+  };
+  private options = DEFAULTS;
+  private listeners = new Set<(s: ScrollState) => void>();
+  private triggers: Trigger[] = [];
+  private tween: Tween | null = null;
+  private unsubFrame: (() => void) | null = null;
+  private touch: { y: number; t: number; v: number } | null = null;
+  private lastNative = 0;
+  private settleTimer = 0;
+  private resizeObserver: ResizeObserver | null = null;
+  private offViewport: (() => void) | null = null;
+  private attached = 0;
+
+  /** Listen for input; reference counted, returns detach. */
+  attach = (options: SmoothScrollOptions = {}) => {
+    if (typeof window === "undefined") return () => {};
+    if (this.attached++ === 0) {
+      this.options = { ...DEFAULTS, ...options };
+      this.state.y = this.state.target = window.scrollY;
+      this.applyMotion();
+      this.offViewport = viewport.on((_v, changed) => { if (changed.has("reducedMotion")) this.applyMotion(); });
+      window.addEventListener("wheel", this.onWheel, { passive: false });
+      window.addEventListener("touchstart", this.onTouchStart, { passive: true });
+      window.addEventListener("touchmove", this.onTouchMove, { passive: false });
+      window.addEventListener("touchend", this.onTouchEnd, { passive: true });
+      window.addEventListener("keydown", this.onKey);
+      window.addEventListener("scroll", this.onNativeScroll, { passive: true });
+      window.addEventListener("resize", this.measure, { passive: true });
+      this.resizeObserver = new ResizeObserver(this.measure);
+      this.resizeObserver.observe(document.body);
+      this.measure();
+    }
+    return () => {
+      if (--this.attached > 0) return;
+      window.removeEventListener("wheel", this.onWheel);
+      window.removeEventListener("touchstart", this.onTouchStart);
+      window.removeEventListener("touchmove", this.onTouchMove);
+      window.removeEventListener("touchend", this.onTouchEnd);
+      window.removeEventListener("keydown", this.onKey);
+      window.removeEventListener("scroll", this.onNativeScroll);
+      window.removeEventListener("resize", this.measure);
+      this.resizeObserver?.disconnect();
+      this.resizeObserver = null;
+      this.offViewport?.();
+      this.offViewport = null;
+      clearTimeout(this.settleTimer);
+      this.stop();
+    };
+  };
+
+  on = (cb: (s: ScrollState) => void) => {
+    this.listeners.add(cb);
+    return () => { this.listeners.delete(cb); };
+  };
+
+  /** Scroll to a position, an element or a selector (e.g. "#work"). */
+  scrollTo = (to: number | string | Element, { offset = 0, duration, easing = easeInOutCubic, immediate, onComplete }: ScrollToOptions = {}) => {
+    const el = typeof to === "string" ? document.querySelector(to) : typeof to === "number" ? null : to;
+    if (typeof to !== "number" && !el) return;
+    const y = clamp((el ? el.getBoundingClientRect().top + window.scrollY : to as number) + offset, 0, this.state.limit);
+    this.tween = null;
+    if (immediate || !this.state.smooth) {
+      this.state.y = this.state.target = y;
+      window.scrollTo(0, y);
+      this.update();
+      onComplete?.();
+      return;
+    }
+    if (duration !== undefined) {
+      this.tween = { from: this.state.y, to: y, t: 0, duration: Math.max(duration, 1e-3), easing, onComplete };
+    }
+    this.setTarget(y);
+  };
+
+  /** Progress of the scroll across `el` between two offsets, 0..1. Returns remove. */
+  addTrigger = (el: Element, options: ScrollTriggerOptions = {}) => {
+    const t: Trigger = { start: "top bottom", end: "bottom top", ...options, el, from: 0, to: 1, progress: -1, inside: false };
+    this.triggers.push(t);
+    this.measureTrigger(t);
+    this.updateTrigger(t);
+    return () => { this.triggers = this.triggers.filter((x) => x !== t); };
+  };
+
+  /**
+   * Scroll `track` sideways while `section` passes. The section is sized so
+   * the vertical distance matches the track's overflow; give the track's
+   * container `position: sticky; top: 0; height: 100vh`.
+   */
+  addHorizontal = (section: HTMLElement, track: HTMLElement) => {
+    const sizeSection = () => {
+      section.style.height = `${track.scrollWidth - window.innerWidth + window.innerHeight}px`;
+    };
+    sizeSection();
+    const off = this.addTrigger(section, {
+      start: "top top",
+      end: "bottom bottom",
+      onUpdate: (p) => { track.style.transform = `translate3d(${-p * (track.scrollWidth - window.innerWidth)}px, 0, 0)`; },
+    });
+    window.addEventListener("resize", sizeSection, { passive: true });
+    return () => {
+      off();
+      window.removeEventListener("resize", sizeSection);
+      section.style.height = "";
+      track.style.transform = "";
+    };
+  };
+
+  // Switching to native mid-animation leaves the page where it is.
+  private applyMotion() {
+    this.state.smooth = this.options.smooth && !viewport.state.reducedMotion;
+    if (!this.state.smooth) {
+      this.touch = null;
+      if (this.state.scrolling) this.stop();
+      this.state.target = this.state.y;
+    }
+  }
+
+  private measure = () => {
+    this.state.limit = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+    this.state.target = clamp(this.state.target, 0, this.state.limit);
+    for (const t of this.triggers) this.measureTrigger(t);
+    this.update();
+  };
+
+  private measureTrigger(t: Trigger) {
+    const r = t.el.getBoundingClientRect();
+    const top = r.top + window.scrollY;
+    const vh = window.innerHeight;
+    const [es, vs] = parseOffset(t.start);
+    const [ee, ve] = parseOffset(t.end);
+    t.from = top + es * r.height - vs * vh;
+    t.to = top + ee * r.height - ve * vh;
+  }
+
+  private updateTrigger(t: Trigger) {
+    const y = this.state.y;
+    const p = clamp((y - t.from) / ((t.to - t.from) || 1), 0, 1);
+    const inside = y >= t.from && y <= t.to;
+    if (inside !== t.inside) {
+      t.inside = inside;
+      (inside ? t.onEnter : t.onLeave)?.();
+    }
+    if (p !== t.progress) {
+      t.progress = p;
+      t.onUpdate?.(p);
+    }
+  }
+
+  private update() {
+    const s = this.state;
+    for (const t of this.triggers) this.updateTrigger(t);
+    s.progress = s.limit ? s.y / s.limit : 0;
+    for (const cb of this.listeners) {
+      try { cb(s); } catch { /* swallow per-frame errors */ }
+    }
+  }
+
+  private setTarget(y: number) {
+    const s = this.state;
+    s.target = clamp(y, 0, s.limit);
+    if (s.target !== s.y) s.direction = s.target > s.y ? 1 : -1;
+    s.scrolling = true;
+    if (!this.unsubFrame) this.unsubFrame = frameLoop.add(this.tick, FRAME_PRIORITY.INPUT, { label: "smoothScroll" });
+  }
+
+  private stop() {
+    this.state.scrolling = false;
+    this.state.velocity = 0;
+    this.tween = null;
+    this.unsubFrame?.();
+    this.unsubFrame = null;
+  }
+
+  private tick = (_t: number, { dt }: FrameInfo) => {
+    if (dt === 0) return;
+    const s = this.state;
+    const prev = s.y;
+    const tw = this.tween;
+    let done: boolean;
+    if (tw) {
+      tw.t = Math.min(1, tw.t + dt / tw.duration);
+      s.y = tw.from + (tw.to - tw.from) * tw.easing(tw.t);
+      done = tw.t >= 1;
+    } else {
+      s.y = damp(s.y, s.target, this.options.lambda, dt);
+      done = Math.abs(s.target - s.y) < 0.5;
+    }
+    if (done) s.y = s.target;
+    s.velocity = (s.y - prev) / dt;
+    window.scrollTo(0, s.y);
+    this.update();
+    if (done) {
+      const onComplete = tw?.onComplete;
+      this.stop();
+      this.update();
+      onComplete?.();
+    }
+  };
+
+  // Our own scrollTo calls land here too; anything else (scrollbar drag,
+  // find-in-page, native touch, reduced motion) takes over the position.
+  private onNativeScroll = () => {
+    const s = this.state;
+    const y = window.scrollY;
+    if (s.scrolling && Math.abs(y - Math.round(s.y)) <= 1) return;
+    if (s.scrolling) this.stop();
+    const now = performance.now();
+    const dt = (now - this.lastNative) / 1000;
+    s.velocity = dt > 0 && dt < 0.1 ? (y - s.y) / dt : 0;
+    s.direction = y >= s.y ? 1 : -1;
+    s.y = s.target = y;
+    this.lastNative = now;
+    this.update();
+    // Native scroll has no "stopped" event: report rest once events dry up.
+    clearTimeout(this.settleTimer);
+    this.settleTimer = window.setTimeout(() => { s.velocity = 0; this.update(); }, 100);
+  };
+
+  private onWheel = (e: WheelEvent) => {
+    if (!this.state.smooth || e.ctrlKey) return; // ctrl+wheel is pinch-zoom
+    if (Math.abs(e.deltaX) > Math.abs(e.deltaY) || wantsNative(e, e.deltaY)) return;
+    e.preventDefault();
+    const k = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? window.innerHeight : 1;
+    this.tween = null;
+    this.setTarget(this.state.target + e.deltaY * k * this.options.wheelMultiplier);
+  };
+
+  private onTouchStart = (e: TouchEvent) => {
+    if (!this.state.smooth || !this.options.syncTouch || e.touches.length > 1 || wantsNative(e)) return;
+    this.touch = { y: e.touches[0].clientY, t: e.timeStamp, v: 0 };
+  };
+
+  private onTouchMove = (e: TouchEvent) => {
+    const touch = this.touch;
+    if (!touch || e.touches.length > 1) return;
+    e.preventDefault();
+    const y = e.touches[0].clientY;
+    const dy = (touch.y - y) * this.options.touchMultiplier;
+    const dt = Math.max(1, e.timeStamp - touch.t) / 1000;
+    touch.v = damp(touch.v, dy / dt, 20, dt);
+    touch.y = y;
+    touch.t = e.timeStamp;
+    this.tween = null;
+    this.setTarget(this.state.target + dy);
+  };
+
+  private onTouchEnd = () => {
+    const touch = this.touch;
+    this.touch = null;
+    if (touch) this.setTarget(this.state.target + touch.v * this.options.touchInertia);
+  };
+
+  private onKey = (e: KeyboardEvent) => {
+    if (!this.state.smooth || !this.options.keyboard || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (isEditable(e.target) || isEditable(document.activeElement)) return;
+    if (e.key === " " && e.target instanceof HTMLButtonElement) return;
+    const vh = window.innerHeight;
+    let to: number;
+    if (e.key === "Home") to = 0;
+    else if (e.key === "End") to = this.state.limit;
+    else if (e.key === " ") to = this.state.target + (e.shiftKey ? -0.9 : 0.9) * vh;
+    else if (e.key in KEYS) {
+      const d = KEYS[e.key];
+      to = this.state.target + (Math.abs(d) < 1 ? d * vh : d);
+    } else return;
+    e.preventDefault();
+    this.tween = null;
+    this.setTarget(to);
+  };
+}
+
+export const smoothScroll = new SmoothScroll();
@@ -0,0 +1,179 @@
+// lib/taskScheduler.ts
+// Spreads expensive one-off work (texture uploads, shader compiles, geometry
+// builds) over time instead of doing it all in one frame. "frame" tasks run
+// on the shared frame loop after the frame is drawn, within `budget` ms;
+// "idle" tasks run in requestIdleCallback. Tasks can be tagged with a stage
+// (e.g. "warmup") and awaited as a group.
+import type * as THREE from "three";
+import { frameLoop, FRAME_PRIORITY } from "@/lib/frameLoop";
+
+export const TASK_PRIORITY = { CRITICAL: 0, HIGH: 1, NORMAL: 2, LOW: 3 } as const;
+
+export type TaskOptions = {
+  priority?: number;       // lower runs first; same priority runs in order
+  mode?: "frame" | "idle";
+  stage?: string;          // group name for whenStage()
+  signal?: AbortSignal;
+  timeout?: number;        // idle: run anyway after this many ms
+};
+
+export type TaskHandle<T> = { promise: Promise<T>; cancel: () => void };
+
+type Task = {
+  id: number;
+  run: (signal: AbortSignal) => unknown;
+  priority: number;
+  mode: "frame" | "idle";
+  stage?: string;
+  timeout?: number;
+  controller: AbortController;
+  resolve: (v: any) => void;
+  reject: (e: unknown) => void;
+};
+
+const IDLE_FALLBACK_MS = 5;
+
+const abortError = () => new DOMException("Task cancelled", "AbortError");
+
+export class TaskScheduler {
+  budget = 4; // ms of frame tasks per frame
+  private queue: Task[] = [];
+  private nextId = 1;
+  private stages = new Map<string, Set<Promise<unknown>>>();
+  private unsubFrame: (() => void) | null = null;
+  private idleId: number | null = null;
+
+  get pending() { return this.queue.length; }
+
+  schedule = <T>(run: (signal: AbortSignal) => T | Promise<T>, options: TaskOptions = {}): TaskHandle<Awaited<T>> => {
+    const { priority = TASK_PRIORITY.NORMAL, mode = "frame", stage, signal, timeout } = options;
+    const controller = new AbortController();
+    let task!: Task;
+    const promise = new Promise<Awaited<T>>((resolve, reject) => {
+      task = { id: this.nextId++, run, priority, mode, stage, timeout, controller, resolve, reject };
+    });
+    promise.catch(() => {}); // fire-and-forget tasks: failures only reach callers awaiting the promise
+    const cancel = () => {
+      if (controller.signal.aborted) return;
+      controller.abort();
+      this.queue = this.queue.filter((t) => t !== task);
+      task.reject(abortError());
+    };
+    if (signal?.aborted) cancel();
+    else {
+      signal?.addEventListener("abort", cancel, { once: true });
+      this.queue.push(task);
+      this.queue.sort((a, b) => a.priority - b.priority || a.id - b.id);
+      this.wake();
+    }
+    if (stage) this.track(stage, promise);
+    return { promise, cancel };
+  };
+
+  /** Resolves once every task tagged with `stage` so far (and any added meanwhile) has settled. */
+  whenStage = async (stage: string): Promise<void> => {
+    const set = this.stages.get(stage);
+    if (!set || !set.size) return;
+    await Promise.allSettled([...set]);
+    return this.whenStage(stage);
+  };
+
+  /** Run everything queued (optionally one stage) right now, ignoring the budget. */
+  flush = (stage?: string) => {
+    for (const t of this.queue.slice()) {
+      if (stage === undefined || t.stage === stage) this.runTask(t);
+    }
+  };
+
+  private track(stage: string, promise: Promise<unknown>) {
+    let set = this.stages.get(stage);
+    if (!set) this.stages.set(stage, (set = new Set()));
+    const settled = promise.catch(() => {}).finally(() => set!.delete(settled));
+    set.add(settled);
+  }
+
+  private runTask(task: Task) {
+    this.queue = this.queue.filter((t) => t !== task);
+    if (task.controller.signal.aborted) return;
+    const fail = (err: unknown) => task.reject(err); // surfaces on the task's promise
+    try {
+      Promise.resolve(task.run(task.controller.signal)).then(task.resolve, fail);
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  private wake() {
+    if (typeof window === "undefined") return;
+    if (!this.unsubFrame && this.queue.some((t) => t.mode === "frame")) {
+      this.unsubFrame = frameLoop.add(this.onFrame, FRAME_PRIORITY.POST, { label: "taskScheduler" });
+    }
+    if (this.idleId === null && this.queue.some((t) => t.mode === "idle")) {
+      const timeout = Math.min(...this.queue.filter((t) => t.mode === "idle" && t.timeout).map((t) => t.timeout!));
+      this.idleId = "requestIdleCallback" in window
+        ? window.requestIdleCallback(this.onIdle, isFinite(timeout) ? { timeout } : undefined)
+        : window.setTimeout(() => this.onIdle({ didTimeout: false, timeRemaining: () => IDLE_FALLBACK_MS }), 1);
+    }
+  }
+
+  // At least one task per frame so the queue always drains, then as many as fit.
+  private onFrame = () => {
+    const start = performance.now();
+    let ran = false;
+    for (const t of this.queue.slice()) {
+      if (t.mode !== "frame") continue;
+      if (ran && performance.now() - start >= this.budget) break;
+      this.runTask(t);
+      ran = true;
+    }
+    if (!this.queue.some((t) => t.mode === "frame")) {
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+    }
+  };
+
+  private onIdle = (deadline: IdleDeadline) => {
+    this.idleId = null;
+    for (const t of this.queue.slice()) {
+      if (t.mode !== "idle") continue;
+      if (!deadline.didTimeout && deadline.timeRemaining() <= 1) break;
+      this.runTask(t);
+      if (deadline.didTimeout) break;
+    }
+    this.wake();
+  };
+}
+
+export const taskScheduler = new TaskScheduler();
+
+/* Warm-up helpers: schedule these before revealing a scene so its first frames don't hitch. */
+
+/** Upload a texture to the GPU ahead of its first draw. */
+export function warmTexture(gl: THREE.WebGLRenderer, texture: THREE.Texture, options: TaskOptions = {}) {
+  return taskScheduler.schedule(() => gl.initTexture(texture), { stage: "warmup", priority: TASK_PRIORITY.HIGH, ...options });
+}
+
+/**
+ * Compile every material in `scene` (asynchronously where supported) and
+ * upload its textures. Resolves once every task has settled; failed or
+ * cancelled ones don't reject it (they draw at first use instead).
+ */
+export function warmScene(gl: THREE.WebGLRenderer, scene: THREE.Object3D, camera: THREE.Camera, options: TaskOptions = {}) {
+  const textures = new Set<THREE.Texture>();
+  scene.traverse((o: any) => {
+    const materials = Array.isArray(o.material) ? o.material : o.material ? [o.material] : [];
+    for (const m of materials) {
+      for (const v of Object.values(m)) if ((v as THREE.Texture)?.isTexture) textures.add(v as THREE.Texture);
+      for (const u of Object.values((m as any).uniforms ?? {})) {
+        const tex = (u as { value: unknown }).value as THREE.Texture;
+        if (tex?.isTexture) textures.add(tex);
+      }
+    }
+  });
+  const uploads = [...textures].map((t) => warmTexture(gl, t, options));
+  const compile = taskScheduler.schedule(
+    () => (gl.compileAsync ? gl.compileAsync(scene, camera) : gl.compile(scene, camera)),
+    { stage: "warmup", priority: TASK_PRIORITY.HIGH, ...options }
+  );
+  return Promise.allSettled([compile.promise, ...uploads.map((u) => u.promise)]).then(() => undefined);
+}
@@ -0,0 +1,239 @@
+// lib/textures.ts
+// Every texture the GL layer draws comes through here: images by url, KTX2
+// files (Basis Universal, transcoded in KTX2Loader's workers to whatever
+// compressed format the GPU takes), and live <video> / <canvas> elements.
+// Textures are cached by key and reference counted: two planes acquiring the
+// same url share one load and one upload, and the GPU copy is disposed when
+// the last of them releases it. Responsive sources are picked from srcset
+// candidates by the plane's on-screen width and the DPR (capped by the
+// quality tier).
+import * as THREE from "three";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { frameLoop, FRAME_PRIORITY } from "@/lib/frameLoop";
+import { probeWebgl, quality } from "@/lib/quality";
+import { viewport } from "@/lib/viewport";
+import { warmTexture } from "@/lib/taskScheduler";
+
+export type TextureSource = string | HTMLVideoElement | HTMLCanvasElement;
+export type SourceCandidate = { src: string; w: number }; // w: intrinsic width, px
+
+export type TextureHandle = { promise: Promise<THREE.Texture>; release: () => void };
+
+type Entry = {
+  texture: THREE.Texture | null;
+  promise: Promise<THREE.Texture>;
+  users: number;
+  released: boolean;
+  cleanup: () => void; // stops video frame callbacks, cancels a pending upload
+};
+
+const KTX2_URL = /\.ktx2([?#].*)?$/i;
+
+const abortError = () => new DOMException("Texture released", "AbortError");
+
+/** Width candidates of a srcset ("a.jpg 640w, b.jpg 1280w"); density (x) entries are skipped. */
+export function parseSrcset(srcset: string): SourceCandidate[] {
+  const out: SourceCandidate[] = [];
+  for (const part of srcset.split(/,\s+/)) {
+    const [src, descriptor = ""] = part.trim().split(/\s+/);
+    const w = /^(\d+)w$/.exec(descriptor);
+    if (src && w) out.push({ src, w: parseInt(w[1], 10) });
+  }
+  return out;
+}
+
+/**
+ * The smallest candidate at least `cssWidth` CSS px wide at `dpr` (by
+ * default the device's, capped by the quality tier), else the largest.
+ */
+export function pickSource(candidates: SourceCandidate[], cssWidth: number, dpr = Math.min(viewport.state.dpr, quality.tier.dpr)) {
+  const sorted = [...candidates].sort((a, b) => a.w - b.w);
+  return (sorted.find((c) => c.w >= cssWidth * dpr) ?? sorted[sorted.length - 1])?.src ?? null;
+}
+
+// Planes are drawn close to 1:1 and never tiled. KTX2 textures keep the color
+// space and mip filters the file declares.
+function configure<T extends THREE.Texture>(texture: T) {
+  texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+  if ((texture as unknown as THREE.CompressedTexture).isCompressedTexture) return texture;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = texture.magFilter = THREE.LinearFilter;
+  return texture;
+}
+
+function whenVideoReady(video: HTMLVideoElement) {
+  if (video.readyState >= video.HAVE_CURRENT_DATA) return Promise.resolve();
+  return new Promise<void>((resolve, reject) => {
+    video.addEventListener("loadeddata", () => resolve(), { once: true });
+    video.addEventListener("error", () => reject(video.error), { once: true });
+  });
+}
+
+// VideoTexture re-uploads each new video frame, but the GL layer only draws
+// on demand: ask for a frame per decoded video frame (or every frame while
+// playing, where requestVideoFrameCallback is missing).
+function watchVideo(video: HTMLVideoElement) {
+  if (typeof video.requestVideoFrameCallback === "function") {
+    let id = 0;
+    const next = () => {
+      frameLoop.invalidate();
+      id = video.requestVideoFrameCallback(next);
+    };
+    id = video.requestVideoFrameCallback(next);
+    return () => video.cancelVideoFrameCallback(id);
+  }
+  let off: (() => void) | null = null;
+  const play = () => { off ??= frameLoop.add(() => frameLoop.invalidate(), FRAME_PRIORITY.INPUT, { label: "video texture" }); };
+  const stop = () => { off?.(); off = null; };
+  video.addEventListener("playing", play);
+  video.addEventListener("pause", stop);
+  video.addEventListener("ended", stop);
+  if (!video.paused) play();
+  return () => {
+    stop();
+    video.removeEventListener("playing", play);
+    video.removeEventListener("pause", stop);
+    video.removeEventListener("ended", stop);
+  };
+}
+
+export class TextureService {
+  transcoderPath = "/basis/"; // three/examples/jsm/libs/basis, served from public/
+  private entries = new Map<string, Entry>();
+  private ids = new WeakMap<HTMLElement, string>();
+  private nextId = 1;
+  private gl: THREE.WebGLRenderer | null = null;
+  private ktx2Loader: KTX2Loader | null = null;
+  private ktx2Detected = false;
+
+  get size() { return this.entries.size; }
+
+  configure({ transcoderPath }: { transcoderPath?: string }) {
+    if (transcoderPath) {
+      this.transcoderPath = transcoderPath;
+      this.ktx2Loader?.setTranscoderPath(transcoderPath);
+    }
+    return this;
+  }
+
+  /**
+   * Upload through `gl` (as task-scheduled "warmup" work) and detect its
+   * compressed formats for KTX2. Returns detach.
+   */
+  attach = (gl: THREE.WebGLRenderer) => {
+    this.gl = gl;
+    return () => { if (this.gl === gl) this.gl = null; };
+  };
+
+  /** Cache key of a source: the url itself, or one per element. */
+  keyOf(source: TextureSource) {
+    if (typeof source === "string") return source;
+    let id = this.ids.get(source);
+    if (!id) this.ids.set(source, (id = `${source.tagName.toLowerCase()}#${this.nextId++}`));
+    return id;
+  }
+
+  /**
+   * Load (or share) the texture for `source`. Every acquire must be paired
+   * with one release; the last release disposes the texture, and a release
+   * before the load finishes discards it.
+   */
+  acquire(source: TextureSource, key = this.keyOf(source)): TextureHandle {
+    let entry = this.entries.get(key);
+    if (!entry) this.entries.set(key, (entry = this.load(key, source)));
+    const e = entry;
+    e.users++;
+    let released = false;
+    return {
+      promise: e.promise,
+      release: () => {
+        if (released) return;
+        released = true;
+        if (--e.users > 0) return;
+        this.drop(key, e);
+      },
+    };
+  }
+
+  /** Re-upload a canvas (or any cached source) after drawing into it. */
+  update(source: TextureSource) {
+    const texture = this.entries.get(this.keyOf(source))?.texture;
+    if (!texture) return;
+    texture.needsUpdate = true;
+    frameLoop.invalidate();
+  }
+
+  /** Transcode a KTX2 file's bytes (e.g. a glTF's KHR_texture_basisu image). */
+  parseKTX2(buffer: ArrayBuffer) {
+    return new Promise<THREE.CompressedTexture>((resolve, reject) => {
+      this.ktx2().parse(buffer, resolve as (t: THREE.Texture) => void, reject);
+    });
+  }
+
+  /** Dispose every cached texture and stop the transcoder workers. */
+  dispose() {
+    for (const [key, entry] of [...this.entries]) this.drop(key, entry);
+    this.ktx2Loader?.dispose();
+    this.ktx2Loader = null;
+    this.ktx2Detected = false;
+  }
+
+  private drop(key: string, entry: Entry) {
+    if (this.entries.get(key) === entry) this.entries.delete(key);
+    if (entry.released) return;
+    entry.released = true;
+    entry.cleanup();
+    entry.texture?.dispose();
+  }
+
+  private load(key: string, source: TextureSource): Entry {
+    const entry: Entry = { texture: null, promise: null!, users: 0, released: false, cleanup: () => {} };
+    entry.promise = this.create(source, entry).then(async (texture) => {
+      if (entry.released) {
+        texture.dispose();
+        throw abortError();
+      }
+      entry.texture = texture;
+      if (this.gl) {
+        const upload = warmTexture(this.gl, texture);
+        const stop = entry.cleanup;
+        entry.cleanup = () => { stop(); upload.cancel(); };
+        await upload.promise.catch(() => {}); // an upload that fails happens at first draw instead
+      }
+      return texture;
+    });
+    // Failures aren't cached, so the next acquire retries.
+    entry.promise.catch(() => { if (this.entries.get(key) === entry) this.entries.delete(key); });
+    return entry;
+  }
+
+  private async create(source: TextureSource, entry: Entry): Promise<THREE.Texture> {
+    if (source instanceof HTMLVideoElement) {
+      await whenVideoReady(source);
+      if (!entry.released) entry.cleanup = watchVideo(source);
+      return configure(new THREE.VideoTexture(source));
+    }
+    if (source instanceof HTMLCanvasElement) return configure(new THREE.CanvasTexture(source));
+    if (KTX2_URL.test(source)) return configure(await this.ktx2().loadAsync(source));
+    return configure(await new THREE.TextureLoader().setCrossOrigin("anonymous").loadAsync(source));
+  }
+
+  // Support is detected once, on the attached renderer or, before there is
+  // one (assets preloading), from the shared WebGL probe: detectSupport only
+  // asks the renderer which extensions exist.
+  private ktx2() {
+    if (!this.ktx2Loader) this.ktx2Loader = new KTX2Loader().setTranscoderPath(this.transcoderPath);
+    if (!this.ktx2Detected) {
+      const probe = probeWebgl();
+      if (!this.gl && !probe.supported) throw new Error("TextureService: KTX2 needs WebGL.");
+      this.ktx2Loader.detectSupport(this.gl ?? ({
+        extensions: { has: (name: string) => probe.extensions.has(name) },
+        capabilities: { isWebGL2: probe.webgl2 },
+      } as unknown as THREE.WebGLRenderer));
+      this.ktx2Detected = true;
+    }
+    return this.ktx2Loader;
+  }
+}
+
+export const textures = new TextureService();
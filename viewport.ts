@@ -0,0 +1,125 @@
+// lib/viewport.ts
+// The one place the page's viewport is measured: size (with the visual
+// viewport's height, so mobile browser bars and the on-screen keyboard are
+// accounted for), dpr, the named breakpoint, and the reduced-motion and
+// color-scheme preferences. Raw resize/media events are coalesced into at
+// most one change per frame; listeners get a fresh immutable state and the
+// keys that changed, so subscribers can ignore slices they don't read.
+import { frameLoop, FRAME_PRIORITY } from "@/lib/frameLoop";
+
+// Min widths (px); a breakpoint applies from its width up. sm..xlg match
+// G.mq's min-width queries; G.mq.xs is a max-width (415px) query, so the
+// bottom bucket is called "base" rather than reusing its name.
+export const BREAKPOINTS = { base: 0, sm: 768, md: 1024, lg: 1366, xlg: 1921 } as const;
+export type Breakpoint = keyof typeof BREAKPOINTS;
+
+export type ViewportState = {
+  w: number;           // layout viewport width, px
+  h: number;           // visible height, px (visualViewport when available)
+  fullHeight: number;  // window.innerHeight
+  dpr: number;
+  breakpoint: Breakpoint;
+  reducedMotion: boolean;
+  colorScheme: "light" | "dark";
+};
+export type ViewportKey = keyof ViewportState;
+export type ViewportListener = (state: ViewportState, changed: ReadonlySet<ViewportKey>) => void;
+
+export const SERVER_VIEWPORT: ViewportState = {
+  w: 0, h: 0, fullHeight: 0, dpr: 1, breakpoint: "base", reducedMotion: false, colorScheme: "light",
+};
+
+const NAMES = Object.keys(BREAKPOINTS) as Breakpoint[];
+
+export const breakpointFor = (w: number): Breakpoint =>
+  NAMES.reduce((bp, name) => (w >= BREAKPOINTS[name] ? name : bp), "base" as Breakpoint);
+
+const media = (q: string) => (typeof window !== "undefined" && window.matchMedia ? window.matchMedia(q) : null);
+
+export class Viewport {
+  state: ViewportState = SERVER_VIEWPORT;
+  private listeners = new Set<ViewportListener>();
+  private reduced = media("(prefers-reduced-motion: reduce)");
+  private dark = media("(prefers-color-scheme: dark)");
+  private unsubFrame: (() => void) | null = null;
+  private attached = 0;
+
+  constructor() {
+    if (typeof window !== "undefined") this.state = this.read();
+  }
+
+  /** Whether the viewport is at least `name` wide. */
+  up = (name: Breakpoint) => this.state.w >= BREAKPOINTS[name];
+
+  on = (cb: ViewportListener) => {
+    this.listeners.add(cb);
+    return () => { this.listeners.delete(cb); };
+  };
+
+  /** Start listening; reference counted, returns detach. Keeps --vh and --screen-height on <html>. */
+  attach = () => {
+    if (typeof window === "undefined") return () => {};
+    if (this.attached++ === 0) {
+      window.addEventListener("resize", this.schedule, { passive: true });
+      window.addEventListener("orientationchange", this.schedule);
+      window.visualViewport?.addEventListener("resize", this.schedule);
+      this.reduced?.addEventListener("change", this.schedule);
+      this.dark?.addEventListener("change", this.schedule);
+      this.update();
+      this.writeCss();
+    }
+    return () => {
+      if (--this.attached > 0) return;
+      window.removeEventListener("resize", this.schedule);
+      window.removeEventListener("orientationchange", this.schedule);
+      window.visualViewport?.removeEventListener("resize", this.schedule);
+      this.reduced?.removeEventListener("change", this.schedule);
+      this.dark?.removeEventListener("change", this.schedule);
+      this.unsubFrame?.();
+      this.unsubFrame = null;
+    };
+  };
+
+  private read(): ViewportState {
+    const w = window.innerWidth;
+    return {
+      w,
+      h: Math.round(window.visualViewport?.height ?? window.innerHeight),
+      fullHeight: window.innerHeight,
+      dpr: window.devicePixelRatio || 1,
+      breakpoint: breakpointFor(w),
+      reducedMotion: !!this.reduced?.matches,
+      colorScheme: this.dark?.matches ? "dark" : "light",
+    };
+  }
+
+  private schedule = () => {
+    if (!this.unsubFrame) this.unsubFrame = frameLoop.add(this.flush, FRAME_PRIORITY.INPUT, { label: "viewport" });
+  };
+
+  private flush = () => {
+    this.unsubFrame?.();
+    this.unsubFrame = null;
+    this.update();
+  };
+
+  private update() {
+    const next = this.read();
+    const changed = new Set<ViewportKey>();
+    for (const key of Object.keys(next) as ViewportKey[]) if (next[key] !== this.state[key]) changed.add(key);
+    if (!changed.size) return;
+    this.state = next;
+    if (changed.has("h") || changed.has("fullHeight")) this.writeCss();
+    for (const cb of this.listeners) {
+      try { cb(next, changed); } catch { /* swallow listener errors */ }
+    }
+  }
+
+  private writeCss() {
+    const root = document.documentElement.style;
+    root.setProperty("--vh", `${this.state.h * 0.01}px`);
+    root.setProperty("--screen-height", `${this.state.fullHeight}px`);
+  }
+}
+
+export const viewport = new Viewport();
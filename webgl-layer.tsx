@@ -0,0 +1,282 @@
+// components/WebglLayer.tsx
+"use client";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import type { MotionValue } from "framer-motion";
+import RuntimeCanvas from "@/components/RuntimeCanvas";
+import PeelPlane, { useRequestFrame, useTextureSource } from "@/components/PeelPlane";
+import { useQuality, useViewport } from "@/app/providers/RuntimeProvider";
+import { dom2webgl, type DomPlaneItem, type Rect } from "@/lib/dom2webgl";
+import { smoothScroll } from "@/lib/smoothScroll";
+import { taskScheduler, warmScene } from "@/lib/taskScheduler";
+import { probeWebgl } from "@/lib/quality";
+import { pickSource } from "@/lib/textures";
+
+// What a plane is drawn with: a world-unit size with the element's aspect
+// (the plane is then scaled to the element's current size), and a stable ref
+// to the element for scroll/hover drivers.
+export type DomPlaneInfo = {
+  texture: THREE.Texture; width: number; height: number; target: React.RefObject<HTMLElement>;
+};
+type Render = (item: DomPlaneItem, plane: DomPlaneInfo) => React.ReactNode;
+
+// "loading" until the canvas exists and its scene is compiled; "lost" while
+// the GL context is gone; "unsupported" when WebGL can't be used at all.
+export type WebglStatus = "loading" | "ready" | "lost" | "unsupported";
+type ErrorHandler = (error: unknown, item?: DomPlaneItem) => void;
+
+// data-webgl="peel" peels as the element scrolls through the viewport;
+// anything else is drawn as a plain image.
+const defaultRender: Render = (item, { texture, width, height, target }) => {
+  if (item.kind === "peel") {
+    return (
+      <PeelPlane
+        texture={texture}
+        width={width}
+        height={height}
+        driver={{ type: "scroll", target, offset: ["start end", "end start"] }}
+      />
+    );
+  }
+  return (
+    <mesh>
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial map={texture} transparent toneMapped={false} />
+    </mesh>
+  );
+};
+
+/**
+ * CSS stand-in for the peel, for when there is no GL: the element is clipped
+ * away from the bottom edge along a slight diagonal and tips back a little.
+ * Pass null to restore it.
+ */
+export function applyCssPeel(el: HTMLElement, progress: number | null) {
+  if (progress === null) {
+    el.style.clipPath = el.style.transform = el.style.transformOrigin = "";
+    return;
+  }
+  const p = Math.min(1, Math.max(0, progress));
+  const edge = (1 - p) * 100;
+  const slant = Math.min(12, p * 30); // % the right side trails the left
+  el.style.clipPath = `polygon(0 0, 100% 0, 100% ${Math.max(0, edge - slant)}%, 0 ${edge}%)`;
+  el.style.transformOrigin = "50% 0";
+  el.style.transform = `perspective(1200px) rotateX(${p * 12}deg)`;
+}
+
+// Peels data-webgl="peel" elements with applyCssPeel from `progress(item)`,
+// or from the element scrolling through the viewport.
+function CssPeels({ progress }: { progress?: (item: DomPlaneItem) => MotionValue<number> | undefined }) {
+  const [items, setItems] = useState<DomPlaneItem[]>([]);
+  useEffect(() => {
+    const detach = dom2webgl.attach();
+    const off = dom2webgl.on(setItems);
+    return () => { off(); detach(); };
+  }, []);
+  const source = useRef(progress);
+  source.current = progress;
+  useEffect(() => {
+    const offs = items.filter((item) => item.kind === "peel").map((item) => {
+      const value = source.current?.(item);
+      const off = value
+        ? value.on("change", (v) => applyCssPeel(item.el, v))
+        : smoothScroll.addTrigger(item.el, { onUpdate: (v) => applyCssPeel(item.el, v) });
+      if (value) applyCssPeel(item.el, value.get());
+      return () => { off(); applyCssPeel(item.el, null); };
+    });
+    return () => offs.forEach((off) => off());
+  }, [items]);
+  return null;
+}
+
+// A canvas that can't be created (or a scene that throws) falls back instead
+// of taking the page down.
+class GlErrorBoundary extends React.Component<{ onError: (error: unknown) => void; children: React.ReactNode }, { failed: boolean }> {
+  state = { failed: false };
+  static getDerivedStateFromError() { return { failed: true }; }
+  componentDidCatch(error: unknown) { this.props.onError(error); }
+  render() { return this.state.failed ? null : this.props.children; }
+}
+
+// Follows context loss: the DOM originals come back while it's gone, and on
+// restore the scene is recompiled and its textures re-uploaded before the
+// planes take over again.
+function ContextWatch({ onStatus }: { onStatus: (status: WebglStatus) => void }) {
+  const { gl, scene, camera } = useThree();
+  const requestFrame = useRequestFrame();
+  useEffect(() => {
+    let alive = true;
+    taskScheduler.whenStage("warmup").then(() => { if (alive) onStatus("ready"); });
+    const canvas = gl.domElement;
+    const lost = (e: Event) => {
+      e.preventDefault(); // allows the browser to restore it
+      onStatus("lost");
+    };
+    const restored = () => {
+      warmScene(gl, scene, camera).finally(() => {
+        if (!alive) return;
+        onStatus("ready");
+        requestFrame();
+      });
+      requestFrame();
+    };
+    canvas.addEventListener("webglcontextlost", lost);
+    canvas.addEventListener("webglcontextrestored", restored);
+    return () => {
+      alive = false;
+      canvas.removeEventListener("webglcontextlost", lost);
+      canvas.removeEventListener("webglcontextrestored", restored);
+    };
+  }, [gl, scene, camera, onStatus, requestFrame]);
+  return null;
+}
+
+// The element's texture from the shared cache: the <video> or <canvas>
+// itself, else the srcset candidate that covers its drawn `width` (CSS px) at
+// the device DPR capped by the quality tier, else its src. Uploads go through
+// the task scheduler, so a page full of images doesn't upload them all in one
+// frame.
+function useElementTexture(item: DomPlaneItem, width: number, onError: React.MutableRefObject<ErrorHandler | undefined>) {
+  const dpr = Math.min(useViewport((s) => s.dpr), useQuality().dpr);
+  const source = useMemo(
+    () => item.live ?? pickSource(item.srcset, width, dpr) ?? item.src,
+    [item, item.src, width, dpr]
+  );
+  useEffect(() => () => dom2webgl.markReady(item, false), [item]);
+  // The DOM original stays visible.
+  return useTextureSource(source, (err) => onError.current?.(err, item));
+}
+
+type PlanesProps = { render: Render; lost: boolean; onError: React.MutableRefObject<ErrorHandler | undefined> };
+
+function DomPlane({ item, render, lost, onError }: PlanesProps & { item: DomPlaneItem }) {
+  const group = useRef<THREE.Group>(null!);
+  const { size, viewport, get } = useThree();
+  const rect = useRef<Rect>({ left: 0, top: 0, width: 0, height: 0 }).current;
+  // The plane is built at `box` and scaled to follow the element, so a resize
+  // re-renders only when the element's aspect ratio (or drawn width, for the
+  // srcset pick) changes, and never from inside the render loop.
+  const [box, setBox] = useState({ width: 0, height: 0 });
+  const [cssWidth, setCssWidth] = useState(() => Math.round(item.el.getBoundingClientRect().width));
+  const texture = useElementTexture(item, cssWidth, onError);
+  const target = useMemo(() => ({ current: item.el }), [item]);
+  const requestFrame = useRequestFrame();
+
+  useEffect(() => {
+    const fit = () => {
+      const { size, viewport } = get();
+      if (!size.width) return;
+      const r = dom2webgl.measure(item, { left: 0, top: 0, width: 0, height: 0 });
+      const k = viewport.width / size.width;
+      const width = r.width * k, height = r.height * k;
+      setCssWidth(Math.round(r.width));
+      setBox((b) => (b.height > 0 && height > 0 && Math.abs(width / height - b.width / b.height) < 1e-3 ? b : { width, height }));
+      requestFrame();
+    };
+    fit();
+    const observer = new ResizeObserver(fit);
+    observer.observe(item.el);
+    return () => observer.disconnect();
+  }, [item, get, requestFrame]);
+
+  useEffect(() => {
+    if (!texture) return;
+    dom2webgl.markReady(item, !lost);
+    requestFrame();
+  }, [texture, item, lost, requestFrame]);
+
+  // Layout is read on every drawn frame: scroll, sticky parents and
+  // transforms all move the element without resizing it.
+  useFrame(() => {
+    dom2webgl.measure(item, rect);
+    const k = viewport.width / size.width; // world units per CSS pixel
+    const g = group.current;
+    g.position.set(
+      (rect.left + rect.width / 2 - size.width / 2) * k,
+      -(rect.top + rect.height / 2 - size.height / 2) * k,
+      0
+    );
+    g.visible = rect.top < size.height && rect.top + rect.height > 0 && rect.left < size.width && rect.left + rect.width > 0;
+    const scale = box.width > 0 ? (rect.width * k) / box.width : 1;
+    g.scale.set(scale, scale, 1);
+  });
+
+  return (
+    <group ref={group}>
+      {texture && box.width > 0 && box.height > 0 && render(item, { texture, target, ...box })}
+    </group>
+  );
+}
+
+function DomPlanes(props: PlanesProps) {
+  const [items, setItems] = useState<DomPlaneItem[]>([]);
+  useEffect(() => {
+    const detach = dom2webgl.attach();
+    const off = dom2webgl.on(setItems);
+    return () => { off(); detach(); };
+  }, []);
+  return <>{items.map((item) => <DomPlane key={item.id} item={item} {...props} />)}</>;
+}
+
+/**
+ * One fixed, full-window canvas drawing a GL plane over every data-webgl
+ * element on the page. Pass a render function to choose the effect per
+ * element; the default peels data-webgl="peel" and draws the rest as images.
+ * The canvas doesn't take pointer events; R3F reads them from the body.
+ *
+ * Without WebGL (or while its context is lost) the DOM originals stay
+ * visible; with `fallback="css"` peel elements get a clip-path approximation
+ * driven by `fallbackProgress(item)`, or by their own scroll position.
+ * `onStatus` reports the layer's state and `onError` canvas or image
+ * failures (with the item for an image).
+ */
+export default function WebglLayer({
+  children = defaultRender,
+  fallback = "css",
+  fallbackProgress,
+  onStatus,
+  onError,
+}: {
+  children?: Render;
+  fallback?: "css" | "static";
+  fallbackProgress?: (item: DomPlaneItem) => MotionValue<number> | undefined;
+  onStatus?: (status: WebglStatus) => void;
+  onError?: ErrorHandler;
+}) {
+  const [eventSource, setEventSource] = useState<HTMLElement>();
+  const [status, setStatus] = useState<WebglStatus>("loading");
+  const errorRef = useRef(onError);
+  errorRef.current = onError;
+  const statusRef = useRef(onStatus);
+  statusRef.current = onStatus;
+  useEffect(() => {
+    setEventSource(document.body);
+    if (!probeWebgl().supported) setStatus("unsupported");
+  }, []);
+  useEffect(() => { statusRef.current?.(status); }, [status]);
+  const fail = useCallback((error: unknown) => {
+    errorRef.current?.(error);
+    setStatus("unsupported");
+  }, []);
+
+  return (
+    <>
+      {status !== "unsupported" && (
+        <GlErrorBoundary onError={fail}>
+          <RuntimeCanvas
+            className="!fixed inset-0 h-screen w-screen pointer-events-none"
+            eventSource={eventSource}
+            eventPrefix="client"
+            gl={{ alpha: true }}
+            camera={{ position: [0, 0, 4.5], fov: 50 }}
+          >
+            <ContextWatch onStatus={setStatus} />
+            <DomPlanes render={children} lost={status === "lost"} onError={errorRef} />
+          </RuntimeCanvas>
+        </GlErrorBoundary>
+      )}
+      {fallback === "css" && (status === "unsupported" || status === "lost") && <CssPeels progress={fallbackProgress} />}
+    </>
+  );
+}